@@ -0,0 +1,193 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {
+  assertCommand,
+  assertEvent,
+  assertIntent,
+  assertNoCommand,
+  assertStates,
+  createFakeRecognizer,
+  createTestHarness,
+} from "../testing";
+import { createWakeWordDetection } from "../wake-word-detection";
+
+describe("Testing utilities", () => {
+  let harness;
+
+  afterEach(() => {
+    if (harness) {
+      harness.recognizer.reset();
+      harness.detection.stop();
+    }
+    harness = null;
+  });
+
+  describe("fake recognizer", () => {
+    test("should drive a detector without the Web Speech API", () => {
+      const recognizer = createFakeRecognizer();
+      const onCommand = jest.fn();
+      const detection = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend: recognizer,
+        onCommand,
+        logLevel: "none",
+      });
+      detection.start();
+      expect(recognizer.isListening).toBe(true);
+      expect(recognizer.language).toBe("en-US");
+
+      recognizer.say("hey test lights on");
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ wakeWord: "hey test", confidence: 0.9 })
+      );
+      detection.stop();
+    });
+
+    test("should refuse results while not listening", () => {
+      const recognizer = createFakeRecognizer();
+      expect(() => recognizer.final("hello")).toThrow(
+        "the fake recognizer is not listening"
+      );
+    });
+
+    test("should end asynchronously when stopped", () => {
+      jest.useFakeTimers();
+      harness = createTestHarness({ wakeWord: "hey test" });
+      harness.detection.start();
+
+      harness.detection.stop();
+      expect(harness.recognizer.isListening).toBe(true);
+      jest.advanceTimersByTime(0);
+      expect(harness.recognizer.isListening).toBe(false);
+      jest.useRealTimers();
+    });
+
+    test("should report itself as unsupported", () => {
+      harness = createTestHarness(
+        { wakeWord: "hey test" },
+        { supported: false }
+      );
+      harness.detection.start();
+      expect(harness.detection.isSupported()).toBe(false);
+      assertStates(harness.recording, ["error"]);
+    });
+  });
+
+  describe("scripts", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should play timed steps with fake timers", () => {
+      harness = createTestHarness({ wakeWord: "hey test" });
+      harness.detection.start();
+
+      harness.recognizer.play([
+        "hey test",
+        { delayMs: 500, interim: "play" },
+        { delayMs: 500, final: "play jazz" },
+      ]);
+      assertNoCommand(harness.recording);
+
+      jest.advanceTimersByTime(1000);
+      assertCommand(harness.recording, "play jazz", { wakeWord: "hey test" });
+      assertStates(harness.recording, [
+        "listening-for-wake-word",
+        "awaiting-command",
+        "capturing-command",
+        "listening-for-wake-word",
+      ]);
+    });
+
+    test("should play errors and end events", () => {
+      harness = createTestHarness({ wakeWord: "hey test" });
+      harness.detection.start();
+
+      harness.recognizer.play([{ error: "network" }, { end: true }]);
+      assertEvent(harness.recording, "error", {
+        code: "network",
+        message: "Error: network",
+      });
+      expect(harness.recognizer.isListening).toBe(false);
+    });
+
+    test("should wait for the end before restarting after an error", () => {
+      harness = createTestHarness({
+        wakeWord: "hey test",
+        resilience: { restartDelayMs: 100 },
+      });
+      harness.detection.start();
+
+      harness.recognizer.play([{ error: "network" }]);
+      jest.advanceTimersByTime(1000);
+      expect(
+        harness.recording.events.filter((event) => event.type === "error")
+      ).toHaveLength(1);
+      expect(harness.detection.getState()).toBe("listening-for-wake-word");
+      expect(harness.recognizer.isListening).toBe(true);
+    });
+
+    test("should resolve once the script has been played", async () => {
+      harness = createTestHarness({ wakeWord: "hey test" });
+      harness.detection.start();
+
+      const played = harness.recognizer.play([
+        { delayMs: 100, say: "hey test open the door" },
+      ]);
+      jest.advanceTimersByTime(100);
+      await played;
+      expect(harness.recording.commands()).toEqual(["open the door"]);
+    });
+
+    test("should reject invalid steps", () => {
+      const recognizer = createFakeRecognizer();
+      expect(() => recognizer.play([{ delayMs: 100 }])).toThrow(
+        "Invalid script step"
+      );
+    });
+  });
+
+  describe("assertions", () => {
+    test("should assert intents and their slots", () => {
+      harness = createTestHarness({
+        wakeWord: "hey test",
+        intents: [
+          {
+            name: "setTimer",
+            patterns: ["set a timer for {minutes:number} minutes"],
+          },
+        ],
+      });
+      harness.detection.start();
+
+      harness.recognizer.final("hey test set a timer for five minutes");
+      assertIntent(harness.recording, "setTimer", { minutes: 5 });
+      expect(() =>
+        assertIntent(harness.recording, "setTimer", { minutes: 6 })
+      ).toThrow('Expected intent "setTimer"');
+    });
+
+    test("should describe what was recorded when an assertion fails", () => {
+      harness = createTestHarness({ wakeWord: "hey test" });
+      harness.detection.start();
+
+      harness.recognizer.final("hey test play jazz");
+      expect(() => assertCommand(harness.recording, "play blues")).toThrow(
+        'Expected command "play blues", got commands: "play jazz"'
+      );
+      expect(() => assertNoCommand(harness.recording)).toThrow(
+        "Expected no command"
+      );
+      expect(() => assertStates(harness.recording, ["paused"])).toThrow(
+        "Expected states paused"
+      );
+    });
+  });
+});
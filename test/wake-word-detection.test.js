@@ -2,18 +2,44 @@
  * @jest-environment jsdom
  */
 
-import { createWakeWordDetection } from "../wake-word-detection";
+import {
+  WakeWordError,
+  createRecognitionHub,
+  createReplayBackend,
+  createWakeWordDetection,
+} from "../wake-word-detection";
 
 describe("Wake Word Detection", () => {
   let wakeWord;
+  let recognitions;
+
+  /**
+   * Fire a fake recognition result with several alternatives on the most recent recognizer
+   */
+  function emitAlternatives(alternatives, isFinal = true) {
+    const recognition = recognitions[recognitions.length - 1];
+    const result = alternatives.slice();
+    result.isFinal = isFinal;
+    recognition.onresult({ results: [result] });
+  }
+
+  /**
+   * Fire a fake recognition result on the most recent recognizer
+   */
+  function emitResult(transcript, isFinal = true) {
+    emitAlternatives([{ transcript, confidence: 0.9 }], isFinal);
+  }
 
   beforeEach(() => {
+    recognitions = [];
+
     // Mock the SpeechRecognition API
     global.SpeechRecognition = class {
       constructor() {
         this.continuous = false;
         this.interimResults = false;
         this.lang = "";
+        recognitions.push(this);
       }
       start() {}
       stop() {}
@@ -22,6 +48,7 @@ describe("Wake Word Detection", () => {
   });
 
   afterEach(() => {
+    if (wakeWord) wakeWord.stop();
     wakeWord = null;
   });
 
@@ -42,4 +69,3033 @@ describe("Wake Word Detection", () => {
     wakeWord = createWakeWordDetection({ wakeWord: "hey test" });
     expect(wakeWord.isSupported()).toBe(true);
   });
+
+  describe("multiple wake words", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should route commands to the matching wake word handler", () => {
+      const onLights = jest.fn();
+      const onCommand = jest.fn();
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: [
+          { wakeWord: "hey lights", onCommand: onLights },
+          "hey music",
+        ],
+        onCommand,
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey lights turn on the kitchen");
+      expect(onWakeWordDetected).toHaveBeenCalledWith(
+        "hey lights",
+        expect.objectContaining({ wakeWord: "hey lights", score: 1 })
+      );
+      expect(onLights).toHaveBeenCalledWith(
+        "turn on the kitchen",
+        expect.objectContaining({ wakeWord: "hey lights", score: 1 })
+      );
+      expect(onCommand).not.toHaveBeenCalled();
+    });
+
+    test("should fall back to the global onCommand", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: ["hey lights", "hey music"],
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("Hey Music play jazz");
+      expect(onCommand).toHaveBeenCalledWith(
+        "play jazz",
+        expect.objectContaining({ wakeWord: "hey music", score: 1 })
+      );
+    });
+
+    test("should add and remove wake words at runtime", () => {
+      const onNotes = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey lights",
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      expect(wakeWord.addWakeWord("hey notes", onNotes)).toBe(true);
+      emitResult("hey notes buy milk");
+      expect(onNotes).toHaveBeenCalledWith(
+        "buy milk",
+        expect.objectContaining({ wakeWord: "hey notes", score: 1 })
+      );
+
+      expect(wakeWord.removeWakeWord("hey lights")).toBe(true);
+      expect(wakeWord.removeWakeWord("hey notes")).toBe(false);
+    });
+
+    test("should keep runtime wake words across language changes", () => {
+      jest.useFakeTimers();
+      const onNotes = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: ["hey computer", "hey lights"],
+        languages: { de: { wakeWord: "hallo computer" } },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.addWakeWord("hey notes", onNotes);
+      wakeWord.removeWakeWord("hey lights");
+      wakeWord.setLanguage("de-DE");
+      expect(wakeWord.removeWakeWord("hallo computer")).toBe(false);
+      wakeWord.start();
+
+      emitResult("hey notes buy milk");
+      expect(onNotes).toHaveBeenCalledWith("buy milk", expect.anything());
+      jest.advanceTimersByTime(2001);
+      emitResult("hallo computer licht an");
+      expect(onCommand).toHaveBeenCalledWith("licht an", expect.anything());
+      wakeWord.stop();
+      recognitions[0].onend();
+
+      wakeWord.setLanguage("en-US");
+      wakeWord.start();
+      jest.advanceTimersByTime(2001);
+      emitResult("hey lights on");
+      expect(onCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test("should keep profile wake words when setting the wake word", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey computer",
+        languages: { de: { wakeWord: "hallo computer" } },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.setLanguage("de-DE");
+      wakeWord.setWakeWord("hey assistant");
+      wakeWord.start();
+
+      emitResult("hallo computer licht an");
+      expect(onCommand).toHaveBeenCalledWith("licht an", expect.anything());
+    });
+  });
+
+  describe("wake word matching", () => {
+    test("should reject an invalid matching strategy", () => {
+      expect(() => {
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          matching: { strategy: "telepathy" },
+        });
+      }).toThrow("Invalid matching strategy");
+    });
+
+    test("should match aliases with the exact strategy", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: { wakeWord: "hey agora", aliases: ["hey aurora"] },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey aurora what time is it");
+      expect(onCommand).toHaveBeenCalledWith(
+        "what time is it",
+        expect.objectContaining({ wakeWord: "hey agora", score: 1 })
+      );
+    });
+
+    test("should tolerate misspellings with the fuzzy strategy", () => {
+      const onCommand = jest.fn();
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey agora",
+        matching: { strategy: "fuzzy", threshold: 0.75 },
+        onCommand,
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey a gora turn on the lights");
+      expect(onWakeWordDetected).toHaveBeenCalledWith(
+        "hey agora",
+        expect.objectContaining({ matchedText: "hey a gora", score: 1 })
+      );
+      expect(onCommand).toHaveBeenCalledWith(
+        "turn on the lights",
+        expect.objectContaining({ wakeWord: "hey agora", score: 1 })
+      );
+    });
+
+    test("should surface the score of approximate matches", () => {
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey agora",
+        matching: { strategy: "phonetic" },
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey aurora", false);
+      const [, match] = onWakeWordDetected.mock.calls[0];
+      expect(match.strategy).toBe("phonetic");
+      expect(match.score).toBeGreaterThanOrEqual(0.75);
+      expect(match.score).toBeLessThan(1);
+    });
+
+    test("should not match unrelated speech", () => {
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey agora",
+        matching: { strategy: "fuzzy" },
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("what is the weather like");
+      expect(onWakeWordDetected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("speech recognition backends", () => {
+    /**
+     * Create a minimal in-memory backend
+     */
+    function createBackend(supported = true) {
+      return {
+        onresult: null,
+        onerror: null,
+        onend: null,
+        isSupported: jest.fn(() => supported),
+        start: jest.fn(),
+        stop: jest.fn(),
+        setLanguage: jest.fn(),
+      };
+    }
+
+    test("should throw error for an invalid backend", () => {
+      expect(() => {
+        createWakeWordDetection({ wakeWord: "hey test", backend: {} });
+      }).toThrow("Invalid speech recognition backend");
+    });
+
+    test("should consume results from a custom backend", () => {
+      const backend = createBackend();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        language: "de-DE",
+        backend,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      expect(backend.setLanguage).toHaveBeenCalledWith("de-DE");
+      expect(backend.start).toHaveBeenCalled();
+
+      backend.onresult({ transcript: "hey test lights on", isFinal: true });
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ wakeWord: "hey test", score: 1 })
+      );
+      expect(recognitions).toHaveLength(0);
+    });
+
+    test("should delegate support checks to the backend", () => {
+      const backend = createBackend(false);
+      const onError = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend,
+        onError,
+        logLevel: "none",
+      });
+
+      expect(wakeWord.isSupported()).toBe(false);
+      wakeWord.start();
+      expect(backend.start).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalled();
+    });
+  });
+
+  describe("intents", () => {
+    /**
+     * Create a detector with intents and return its intent callbacks
+     */
+    function createWithIntents(options) {
+      const onIntent = jest.fn();
+      const onUnmatchedCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        onIntent,
+        onUnmatchedCommand,
+        logLevel: "none",
+        ...options,
+      });
+      wakeWord.start();
+      return { onIntent, onUnmatchedCommand };
+    }
+
+    test("should extract free text slots", () => {
+      const { onIntent } = createWithIntents({
+        intents: [{ name: "addItem", patterns: ["add {item}"] }],
+      });
+
+      emitResult("hey home add milk and eggs");
+      expect(onIntent).toHaveBeenCalledWith(
+        {
+          name: "addItem",
+          slots: { item: "milk and eggs" },
+          raw: "add milk and eggs",
+        },
+        expect.objectContaining({ wakeWord: "hey home" })
+      );
+    });
+
+    test("should parse number words and optional words", () => {
+      const { onIntent } = createWithIntents({
+        intents: [
+          {
+            name: "setTimer",
+            patterns: ["set [a] timer for {duration:number} minutes"],
+          },
+        ],
+      });
+
+      emitResult("hey home set a timer for twenty five minutes");
+      expect(onIntent.mock.calls[0][0].slots).toEqual({ duration: 25 });
+    });
+
+    test("should resolve choices and slot type synonyms", () => {
+      const { onIntent } = createWithIntents({
+        slotTypes: { room: { "living room": ["lounge"], kitchen: [] } },
+        intents: [
+          {
+            name: "lights",
+            patterns: ["(turn|switch) {state:on|off} the {room:room} lights"],
+          },
+        ],
+      });
+
+      emitResult("hey home switch off the lounge lights.");
+      expect(onIntent.mock.calls[0][0].slots).toEqual({
+        state: "off",
+        room: "living room",
+      });
+    });
+
+    test("should keep the case of slot and slot type names", () => {
+      const { onIntent } = createWithIntents({
+        slotTypes: { roomName: ["Kitchen"] },
+        intents: [
+          {
+            name: "setLevel",
+            patterns: ["Set {itemName:roomName} to {level:number}"],
+          },
+        ],
+      });
+
+      emitResult("hey home set kitchen to 2.5");
+      expect(onIntent.mock.calls[0][0].slots).toEqual({
+        itemName: "kitchen",
+        level: 2.5,
+      });
+    });
+
+    test("should fall back to onUnmatchedCommand", () => {
+      const { onIntent, onUnmatchedCommand } = createWithIntents({
+        intents: [{ name: "addItem", patterns: ["add {item}"] }],
+      });
+
+      emitResult("hey home sing a song");
+      expect(onIntent).not.toHaveBeenCalled();
+      expect(onUnmatchedCommand).toHaveBeenCalledWith(
+        "sing a song",
+        expect.objectContaining({ wakeWord: "hey home" })
+      );
+    });
+
+    test("should register and remove intents at runtime", () => {
+      const { onIntent } = createWithIntents({});
+
+      wakeWord.addIntent({ name: "clear", patterns: ["clear [all]"] });
+      emitResult("hey home clear all");
+      expect(onIntent.mock.calls[0][0].name).toBe("clear");
+
+      expect(wakeWord.removeIntent("clear")).toBe(true);
+      expect(wakeWord.removeIntent("clear")).toBe(false);
+    });
+
+    test("should throw error for unknown slot types", () => {
+      expect(() => {
+        createWakeWordDetection({
+          wakeWord: "hey home",
+          intents: [{ name: "lights", patterns: ["lights in {room:room}"] }],
+        });
+      }).toThrow("Unknown slot type: room");
+    });
+  });
+
+  describe("conversation mode", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should capture a follow-up without the wake word", () => {
+      const onConversationEnd = jest.fn();
+      const onCommand = jest.fn((command, { conversation }) => {
+        if (conversation.turn === 1) {
+          conversation.context.action = command;
+          conversation.followUp();
+        } else {
+          conversation.context.room = command;
+        }
+      });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        conversation: { followUpTimeoutMs: 5000 },
+        onCommand,
+        onConversationEnd,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey home turn on the lights");
+      emitResult("kitchen");
+
+      expect(onCommand).toHaveBeenCalledTimes(2);
+      expect(onCommand.mock.calls[1][0]).toBe("kitchen");
+      expect(onConversationEnd).toHaveBeenCalledWith({
+        context: { action: "turn on the lights", room: "kitchen" },
+        turns: 2,
+        reason: "ended",
+      });
+    });
+
+    test("should end the conversation when the follow-up window times out", () => {
+      const onConversationEnd = jest.fn();
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        conversation: { followUpTimeoutMs: 5000 },
+        onCommand: (command, { conversation }) => conversation.followUp(),
+        onCommandTimeout,
+        onConversationEnd,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey home turn on the lights");
+      jest.advanceTimersByTime(4000);
+      expect(onConversationEnd).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(onCommandTimeout).toHaveBeenCalled();
+      expect(onConversationEnd).toHaveBeenCalledWith(
+        expect.objectContaining({ turns: 1, reason: "timeout" })
+      );
+    });
+
+    test("should wait for async handlers to request a follow-up", async () => {
+      const onCommand = jest.fn(async (command, { conversation }) => {
+        await Promise.resolve();
+        if (conversation.turn === 1) conversation.followUp();
+      });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        conversation: true,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey home play music");
+      await Promise.resolve();
+      await Promise.resolve();
+
+      emitResult("something relaxing");
+      expect(onCommand).toHaveBeenCalledTimes(2);
+    });
+
+    test("should end the conversation when the follow-up is empty after normalization", () => {
+      const onConversationEnd = jest.fn();
+      const onCommand = jest.fn((command, { conversation }) =>
+        conversation.followUp()
+      );
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        conversation: true,
+        normalize: true,
+        onCommand,
+        onConversationEnd,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey home turn on the lights");
+      emitResult("um");
+      expect(onConversationEnd).toHaveBeenCalledWith(
+        expect.objectContaining({ turns: 1, reason: "timeout" })
+      );
+
+      jest.advanceTimersByTime(2001);
+      emitResult("hey home play music");
+      expect(onCommand.mock.calls[1][1].conversation.turn).toBe(1);
+    });
+
+    test("should report a throwing handler and end the conversation", () => {
+      const onConversationEnd = jest.fn();
+      const onError = jest.fn();
+      const onIntent = jest.fn();
+      const listener = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey home",
+        conversation: true,
+        intents: [{ name: "lightsOn", patterns: ["turn on the lights"] }],
+        onCommand: () => {
+          throw new Error("boom");
+        },
+        onIntent,
+        onConversationEnd,
+        onError,
+        logLevel: "none",
+      });
+      wakeWord.on("command", listener);
+      wakeWord.start();
+
+      expect(() => emitResult("hey home turn on the lights")).not.toThrow();
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "unknown",
+          message: "Error in onCommand handler: boom",
+        })
+      );
+      expect(listener).toHaveBeenCalled();
+      expect(onIntent).toHaveBeenCalled();
+      expect(onConversationEnd).toHaveBeenCalledWith(
+        expect.objectContaining({ turns: 1, reason: "ended" })
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should reject an invalid follow-up timeout", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey home",
+          conversation: { followUpTimeoutMs: 0 },
+        })
+      ).toThrow("Invalid conversation.followUpTimeoutMs: 0");
+    });
+  });
+
+  describe("events", () => {
+    test("should notify subscribers with rich payloads", () => {
+      const onCommand = jest.fn();
+      const onCommandEvent = jest.fn();
+      const onWakeWordEvent = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.on("command", onCommandEvent);
+      wakeWord.on("wakeword", onWakeWordEvent);
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      expect(onCommand).toHaveBeenCalled();
+      expect(onWakeWordEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "wakeword",
+          wakeWord: "hey test",
+          transcript: "hey test lights on",
+          confidence: 0.9,
+          timestamp: expect.any(Number),
+          state: "listening-for-wake-word",
+        })
+      );
+      expect(onCommandEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "command",
+          command: "lights on",
+          wakeWord: "hey test",
+          confidence: 0.9,
+        })
+      );
+    });
+
+    test("should unsubscribe handlers", () => {
+      const handler = jest.fn();
+      const onceHandler = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      const unsubscribe = wakeWord.on("transcription", handler);
+      wakeWord.once("wakeword", onceHandler);
+      wakeWord.start();
+
+      emitResult("hey test", false);
+      emitResult("hey test", false);
+      expect(handler).not.toHaveBeenCalled();
+      expect(onceHandler).toHaveBeenCalledTimes(1);
+
+      emitResult("hey test");
+      emitResult("open", false);
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      unsubscribe();
+      emitResult("open the", false);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test("should isolate failing handlers", () => {
+      const handler = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      wakeWord.on("wakeword", () => {
+        throw new Error("boom");
+      });
+      wakeWord.on("wakeword", handler);
+      wakeWord.start();
+
+      expect(() => emitResult("hey test", false)).not.toThrow();
+      expect(handler).toHaveBeenCalled();
+    });
+  });
+
+  describe("state machine", () => {
+    test("should report state transitions", () => {
+      const onStateChange = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onStateChange,
+        logLevel: "none",
+      });
+      expect(wakeWord.getState()).toBe("idle");
+
+      wakeWord.start();
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      emitResult("hey test");
+      expect(wakeWord.getState()).toBe("awaiting-command");
+
+      emitResult("open the", false);
+      expect(wakeWord.getState()).toBe("capturing-command");
+
+      emitResult("open the door");
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      wakeWord.pause();
+      expect(wakeWord.getState()).toBe("paused");
+
+      wakeWord.stop();
+      expect(wakeWord.getState()).toBe("idle");
+
+      expect(onStateChange.mock.calls.map(([from, to]) => [from, to])).toEqual([
+        ["idle", "starting"],
+        ["starting", "listening-for-wake-word"],
+        ["listening-for-wake-word", "awaiting-command"],
+        ["awaiting-command", "capturing-command"],
+        ["capturing-command", "listening-for-wake-word"],
+        ["listening-for-wake-word", "paused"],
+        ["paused", "idle"],
+      ]);
+      expect(onStateChange).toHaveBeenCalledWith(
+        "awaiting-command",
+        "capturing-command",
+        "speech detected"
+      );
+    });
+
+    test("should emit statechange events", () => {
+      const handler = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      wakeWord.on("statechange", handler);
+      wakeWord.start();
+
+      expect(handler).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          from: "starting",
+          to: "listening-for-wake-word",
+          reason: "recognition started",
+        })
+      );
+    });
+
+    test("should enter the error state when recognition is unsupported", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend: {
+          isSupported: () => false,
+          start() {},
+          stop() {},
+        },
+        logLevel: "none",
+      });
+      wakeWord.start();
+      expect(wakeWord.getState()).toBe("error");
+    });
+
+    test("should restart after the recognizer ends", () => {
+      jest.useFakeTimers();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      recognitions[0].onend();
+      expect(wakeWord.getState()).toBe("restarting");
+
+      jest.advanceTimersByTime(100);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      jest.useRealTimers();
+    });
+  });
+
+  describe("end of utterance", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should throw error for invalid durations", () => {
+      expect(() => {
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          endOfUtterance: { silenceTimeoutMs: -1 },
+        });
+      }).toThrow("Invalid endOfUtterance.silenceTimeoutMs");
+    });
+
+    test("should end the command after silence", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        endOfUtterance: { silenceTimeoutMs: 1000 },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      emitResult("open the", false);
+      jest.advanceTimersByTime(900);
+      emitResult("open the door", false);
+      jest.advanceTimersByTime(900);
+      expect(onCommand).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(100);
+      expect(onCommand).toHaveBeenCalledWith(
+        "open the door",
+        expect.anything()
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should end the command after the maximum duration", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        endOfUtterance: { silenceTimeoutMs: 1000, maxCommandDurationMs: 2500 },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      [
+        "tell",
+        "tell me",
+        "tell me a",
+        "tell me a long",
+        "tell me a long story",
+      ].forEach((text) => {
+        emitResult(text, false);
+        jest.advanceTimersByTime(600);
+      });
+
+      expect(onCommand).toHaveBeenCalledWith(
+        "tell me a long story",
+        expect.anything()
+      );
+    });
+
+    test("should merge final segments until silence", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        endOfUtterance: { silenceTimeoutMs: 1000, mergeFinalSegments: true },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test add eggs");
+      jest.advanceTimersByTime(500);
+      emitResult("and milk", false);
+      emitResult("and milk");
+      expect(onCommand).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(onCommand).toHaveBeenCalledTimes(1);
+      expect(onCommand).toHaveBeenCalledWith(
+        "add eggs and milk",
+        expect.anything()
+      );
+    });
+  });
+
+  describe("confidence and alternatives", () => {
+    test("should detect the wake word in a less likely alternative", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey agora",
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitAlternatives([
+        { transcript: "hey aurora lights on", confidence: 0.8 },
+        { transcript: "hey agora lights on", confidence: 0.6 },
+      ]);
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({
+          confidence: 0.6,
+          alternatives: [
+            { transcript: "hey aurora lights on", confidence: 0.8 },
+            { transcript: "hey agora lights on", confidence: 0.6 },
+          ],
+        })
+      );
+    });
+
+    test("should ignore wake words below the confidence threshold", () => {
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        minConfidence: { wakeWord: 0.7 },
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitAlternatives([{ transcript: "hey test", confidence: 0.4 }]);
+      expect(onWakeWordDetected).not.toHaveBeenCalled();
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      emitAlternatives([{ transcript: "hey test", confidence: 0.8 }]);
+      expect(onWakeWordDetected).toHaveBeenCalledTimes(1);
+    });
+
+    test("should reject commands below the confidence threshold", () => {
+      const onCommand = jest.fn();
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        minConfidence: 0.5,
+        onCommand,
+        onCommandTimeout,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      emitAlternatives([{ transcript: "delete everything", confidence: 0.3 }]);
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onCommandTimeout).toHaveBeenCalled();
+    });
+
+    test("should pass confidence details to onTranscription", () => {
+      const onTranscription = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onTranscription,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      emitResult("play music", false);
+      expect(onTranscription).toHaveBeenCalledWith("play music", {
+        isFinal: false,
+        confidence: 0.9,
+        alternatives: [{ transcript: "play music", confidence: 0.9 }],
+      });
+    });
+
+    test("should reject an invalid confidence threshold", () => {
+      expect(() =>
+        createWakeWordDetection({ wakeWord: "hey test", minConfidence: 2 })
+      ).toThrow("Invalid minConfidence");
+    });
+  });
+
+  describe("cancelling commands", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should cancel a command with a cancel phrase", () => {
+      const onCommand = jest.fn();
+      const onCommandTimeout = jest.fn();
+      const onCommandCancelled = jest.fn();
+      const listener = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        cancelPhrases: true,
+        onCommand,
+        onCommandTimeout,
+        onCommandCancelled,
+        logLevel: "none",
+      });
+      wakeWord.on("commandcancelled", listener);
+      wakeWord.start();
+
+      emitResult("hey test");
+      emitResult("turn on the lights, never mind");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onCommandTimeout).not.toHaveBeenCalled();
+      expect(onCommandCancelled).toHaveBeenCalledWith({
+        command: "turn on the lights, never mind",
+        phrase: "never mind",
+        reason: "phrase",
+        wakeWord: "hey test",
+      });
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "commandcancelled",
+          phrase: "never mind",
+        })
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should cancel a command spoken with the wake word", () => {
+      const onCommandCancelled = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        cancelPhrases: ["forget it"],
+        onCommandCancelled,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test forget it");
+      expect(onCommandCancelled).toHaveBeenCalledWith(
+        expect.objectContaining({ phrase: "forget it" })
+      );
+    });
+
+    test("should only cancel on whole words", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        cancelPhrases: true,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test cancel the cancellation");
+      expect(onCommand).toHaveBeenCalledWith(
+        "cancel the cancellation",
+        expect.anything()
+      );
+    });
+
+    test("should not cancel unless cancel phrases are enabled", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test cancel");
+      expect(onCommand).toHaveBeenCalledWith("cancel", expect.any(Object));
+    });
+
+    test("should only check cancel phrases when the command ends", () => {
+      jest.useFakeTimers();
+      const onCommand = jest.fn();
+      const onCommandCancelled = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        cancelPhrases: true,
+        onCommand,
+        onCommandCancelled,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      emitResult("cancel", false);
+      emitResult("cancel my meeting", false);
+      expect(onCommandCancelled).not.toHaveBeenCalled();
+      emitResult("cancel my meeting");
+      expect(onCommand).toHaveBeenCalledWith(
+        "cancel my meeting",
+        expect.anything()
+      );
+
+      jest.advanceTimersByTime(2001);
+      emitResult("hey test turn on never mind", false);
+      expect(onCommandCancelled).not.toHaveBeenCalled();
+      emitResult("hey test turn on never mind");
+      expect(onCommandCancelled).toHaveBeenCalledWith(
+        expect.objectContaining({
+          command: "turn on never mind",
+          phrase: "never mind",
+        })
+      );
+      expect(onCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test("should cancel a command programmatically", () => {
+      const onCommand = jest.fn();
+      const onCommandCancelled = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onCommand,
+        onCommandCancelled,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      expect(wakeWord.cancelCommand()).toBe(false);
+
+      emitResult("hey test");
+      emitResult("play", false);
+      expect(wakeWord.cancelCommand()).toBe(true);
+      expect(onCommandCancelled).toHaveBeenCalledWith({
+        command: "play",
+        phrase: null,
+        reason: "manual",
+        wakeWord: "hey test",
+      });
+
+      emitResult("play music");
+      expect(onCommand).not.toHaveBeenCalled();
+    });
+
+    test("should reject invalid cancel phrases", () => {
+      expect(() =>
+        createWakeWordDetection({ wakeWord: "hey test", cancelPhrases: [""] })
+      ).toThrow("Invalid cancel phrase");
+    });
+  });
+
+  describe("session recording", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    /**
+     * Parse exported JSON Lines
+     */
+    function parseLines(session) {
+      return session
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+    }
+
+    test("should record raw recognition events as JSON Lines", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        recordSession: true,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitAlternatives([
+        { transcript: "hey test lights on", confidence: 0.8 },
+        { transcript: "hey text lights on", confidence: 0.4 },
+      ]);
+      recognitions[0].onerror({ error: "network", message: "offline" });
+
+      const entries = parseLines(wakeWord.exportSession());
+      expect(entries[0]).toEqual(
+        expect.objectContaining({
+          type: "session",
+          version: 1,
+          language: "en-US",
+          wakeWords: ["hey test"],
+        })
+      );
+      expect(entries.map((entry) => entry.type)).toEqual(
+        expect.arrayContaining(["start", "result", "error", "restart", "state"])
+      );
+      expect(entries.find((entry) => entry.type === "result")).toEqual({
+        type: "result",
+        timestamp: expect.any(Number),
+        transcript: "hey test lights on",
+        isFinal: true,
+        confidence: 0.8,
+        alternatives: [
+          { transcript: "hey test lights on", confidence: 0.8 },
+          { transcript: "hey text lights on", confidence: 0.4 },
+        ],
+      });
+      expect(entries).toContainEqual(
+        expect.objectContaining({
+          type: "state",
+          from: "listening-for-wake-word",
+          to: "restarting",
+        })
+      );
+
+      wakeWord.clearSession();
+      expect(parseLines(wakeWord.exportSession())).toHaveLength(1);
+    });
+
+    test("should keep the most recent entries", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        recordSession: { maxEntries: 2 },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("one", false);
+      emitResult("two", false);
+      emitResult("three", false);
+
+      const entries = parseLines(wakeWord.exportSession()).slice(1);
+      expect(entries.map((entry) => entry.transcript)).toEqual([
+        "two",
+        "three",
+      ]);
+    });
+
+    test("should not record unless enabled", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      expect(() => wakeWord.exportSession()).toThrow(
+        "Session recording is not enabled"
+      );
+    });
+
+    test("should replay a recorded session", () => {
+      const recorded = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        recordSession: true,
+        onCommand: recorded,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      jest.advanceTimersByTime(1000);
+      emitResult("hey test");
+      jest.advanceTimersByTime(500);
+      emitResult("play", false);
+      jest.advanceTimersByTime(500);
+      emitResult("play jazz");
+      const session = wakeWord.exportSession();
+      wakeWord.stop();
+
+      const replayed = jest.fn();
+      const onStateChange = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend: createReplayBackend(session),
+        onCommand: replayed,
+        onStateChange,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      jest.advanceTimersByTime(1500);
+      expect(replayed).not.toHaveBeenCalled();
+      expect(wakeWord.getState()).toBe("capturing-command");
+
+      jest.advanceTimersByTime(500);
+      expect(replayed).toHaveBeenCalledWith("play jazz", expect.anything());
+      expect(replayed.mock.calls).toEqual(recorded.mock.calls);
+    });
+
+    test("should replay faster and resolve when finished", async () => {
+      const onCommand = jest.fn();
+      const backend = createReplayBackend(
+        [
+          { type: "start", timestamp: 1000 },
+          {
+            type: "result",
+            timestamp: 3000,
+            transcript: "hey test open the door",
+            isFinal: true,
+            confidence: 0.9,
+          },
+        ],
+        { speed: 2 }
+      );
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      jest.advanceTimersByTime(1000);
+      await backend.finished;
+      expect(onCommand).toHaveBeenCalledWith(
+        "open the door",
+        expect.anything()
+      );
+    });
+
+    test("should replay through a restart of the detector", async () => {
+      const onCommand = jest.fn();
+      const backend = createReplayBackend([
+        { type: "start", timestamp: 0 },
+        { type: "end", timestamp: 1000 },
+        {
+          type: "result",
+          timestamp: 2000,
+          transcript: "hey test lights on",
+          isFinal: true,
+          confidence: 0.9,
+        },
+      ]);
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      jest.advanceTimersByTime(500);
+      wakeWord.setLanguage("en-GB");
+      jest.advanceTimersByTime(500);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      jest.advanceTimersByTime(1000);
+      await backend.finished;
+      expect(onCommand).toHaveBeenCalledWith("lights on", expect.anything());
+    });
+
+    test("should pause the replay while stopped", () => {
+      const backend = createReplayBackend([
+        { type: "start", timestamp: 0 },
+        {
+          type: "result",
+          timestamp: 1000,
+          transcript: "hey test lights on",
+          isFinal: true,
+          confidence: 0.9,
+        },
+        {
+          type: "result",
+          timestamp: 4000,
+          transcript: "hey test lights off",
+          isFinal: true,
+          confidence: 0.9,
+        },
+      ]);
+      const onresult = jest.fn();
+      backend.onresult = onresult;
+
+      backend.start();
+      jest.advanceTimersByTime(2000);
+      expect(onresult).toHaveBeenCalledTimes(1);
+
+      backend.stop();
+      jest.advanceTimersByTime(5000);
+      expect(onresult).toHaveBeenCalledTimes(1);
+
+      backend.start();
+      jest.advanceTimersByTime(1999);
+      expect(onresult).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1);
+      expect(onresult).toHaveBeenLastCalledWith(
+        expect.objectContaining({ transcript: "hey test lights off" })
+      );
+    });
+
+    test("should reject invalid sessions", () => {
+      expect(() => createReplayBackend('{"type":"start"}\nnot json')).toThrow(
+        "Invalid session entry"
+      );
+      expect(() =>
+        createReplayBackend([{ type: "session", version: 99, timestamp: 0 }])
+      ).toThrow("Unsupported session version: 99");
+    });
+  });
+
+  describe("resilience", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Fire a recognition error, and the end that follows it, on the most recent recognizer
+     */
+    function emitError(error) {
+      const recognition = recognitions[recognitions.length - 1];
+      recognition.onerror({ error, message: "" });
+      // Recognizers end the session after an error
+      recognition.onend();
+    }
+
+    test("should give up after the maximum restart attempts", () => {
+      const onGiveUp = jest.fn();
+      const listener = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { maxRestartAttempts: 2, restartDelayMs: 100 },
+        onGiveUp,
+        logLevel: "none",
+      });
+      wakeWord.on("giveup", listener);
+      wakeWord.start();
+
+      emitError("network");
+      jest.advanceTimersByTime(100);
+      emitError("network");
+      jest.advanceTimersByTime(200);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      emitError("network");
+
+      expect(onGiveUp).toHaveBeenCalledWith({
+        reason: "max-restart-attempts",
+        attempts: 2,
+        lastError: expect.objectContaining({
+          code: "network",
+          message: "Error: network",
+        }),
+      });
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "giveup", state: "error" })
+      );
+      expect(wakeWord.getState()).toBe("error");
+      expect(wakeWord.getHealth()).toEqual(
+        expect.objectContaining({ gaveUp: true, restarts: 2 })
+      );
+
+      wakeWord.start();
+      jest.advanceTimersByTime(50);
+      expect(wakeWord.getHealth()).toEqual(
+        expect.objectContaining({ gaveUp: false, restarts: 0 })
+      );
+    });
+
+    test("should retry a failed restart without entering the error state", () => {
+      const states = [];
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { restartDelayMs: 100 },
+        logLevel: "none",
+      });
+      wakeWord.on("statechange", ({ to }) => states.push(to));
+      wakeWord.start();
+
+      emitError("network");
+      jest
+        .spyOn(global.SpeechRecognition.prototype, "start")
+        .mockImplementationOnce(() => {
+          throw new Error("InvalidStateError");
+        });
+      jest.advanceTimersByTime(100);
+      expect(wakeWord.getState()).toBe("restarting");
+
+      jest.advanceTimersByTime(200);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      expect(states).not.toContain("error");
+    });
+
+    test("should not restart after a stop during the restart delay", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { restartDelayMs: 100 },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitError("network");
+      expect(wakeWord.getState()).toBe("restarting");
+      wakeWord.stop();
+      jest.advanceTimersByTime(1000);
+      expect(wakeWord.getState()).toBe("idle");
+    });
+
+    test("should cap and jitter the restart backoff", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0.5);
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: {
+          restartDelayMs: 1000,
+          maxRestartDelayMs: 1500,
+          jitter: 0.5,
+        },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitError("network");
+      jest.advanceTimersByTime(749);
+      expect(wakeWord.getState()).toBe("restarting");
+      jest.advanceTimersByTime(1);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      // 2000ms of backoff is capped to 1500ms, then shortened by a quarter
+      emitError("network");
+      jest.advanceTimersByTime(1124);
+      expect(wakeWord.getState()).toBe("restarting");
+      jest.advanceTimersByTime(1);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should report health", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      expect(wakeWord.getHealth()).toEqual({
+        state: "idle",
+        uptimeMs: 0,
+        restarts: 0,
+        restartAttempts: 0,
+        lastError: null,
+        lastResultAt: null,
+        gaveUp: false,
+      });
+
+      wakeWord.start();
+      jest.advanceTimersByTime(5000);
+      emitResult("hello", false);
+      const health = wakeWord.getHealth();
+      expect(health.uptimeMs).toBe(5000);
+      expect(health.lastResultAt).toBe(Date.now());
+
+      wakeWord.stop();
+      expect(wakeWord.getHealth().uptimeMs).toBe(0);
+    });
+
+    test("should disable inactivity restarts", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { inactivityTimeoutMs: 0 },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      jest.advanceTimersByTime(60000);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      expect(wakeWord.getHealth().restarts).toBe(0);
+    });
+
+    test("should reject an invalid resilience policy", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          resilience: { jitter: 2 },
+        })
+      ).toThrow("Invalid resilience.jitter: 2");
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          resilience: { restartDelayMs: 5000, maxRestartDelayMs: 1000 },
+        })
+      ).toThrow("Invalid resilience.maxRestartDelayMs");
+    });
+  });
+
+  describe("errors", () => {
+    test("should report recognizer errors with a stable code", () => {
+      const onError = jest.fn();
+      const listener = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onError,
+        logLevel: "none",
+      });
+      wakeWord.on("error", listener);
+      wakeWord.start();
+
+      const event = { error: "not-allowed", message: "Permission denied" };
+      recognitions[0].onerror(event);
+
+      const error = onError.mock.calls[0][0];
+      expect(error).toBeInstanceOf(WakeWordError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toEqual(
+        expect.objectContaining({
+          name: "WakeWordError",
+          code: "permission-denied",
+          recoverable: false,
+          cause: event,
+          state: "listening-for-wake-word",
+        })
+      );
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error,
+          code: "permission-denied",
+          recoverable: false,
+        })
+      );
+    });
+
+    test("should mark transient errors as recoverable", () => {
+      const onError = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onError,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      recognitions[0].onerror({ error: "network", message: "" });
+      recognitions[0].onerror({ error: "bad-grammar", message: "" });
+      expect(onError.mock.calls.map(([error]) => error.code)).toEqual([
+        "network",
+        "unknown",
+      ]);
+      expect(onError.mock.calls[0][0].recoverable).toBe(true);
+    });
+
+    test("should report unsupported environments", () => {
+      const onError = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend: {
+          isSupported: () => false,
+          start: () => {},
+          stop: () => {},
+        },
+        onError,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "not-supported", recoverable: false })
+      );
+    });
+
+    test("should report exhausted restarts", () => {
+      jest.useFakeTimers();
+      const onError = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { maxRestartAttempts: 0 },
+        onError,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      recognitions[0].onerror({ error: "audio-capture", message: "" });
+      const error = onError.mock.calls[1][0];
+      expect(error.code).toBe("restart-exhausted");
+      expect(error.cause).toBe(onError.mock.calls[0][0]);
+      jest.useRealTimers();
+    });
+  });
+
+  describe("microphone permission and audio inputs", () => {
+    /**
+     * Replace a navigator API for the duration of a test
+     */
+    function mockNavigator(name, value) {
+      Object.defineProperty(global.navigator, name, {
+        value,
+        configurable: true,
+      });
+    }
+
+    afterEach(() => {
+      delete global.navigator.permissions;
+      delete global.navigator.mediaDevices;
+    });
+
+    test("should check and watch the permission", async () => {
+      const status = { state: "prompt", addEventListener: jest.fn() };
+      mockNavigator("permissions", {
+        query: jest.fn().mockResolvedValue(status),
+      });
+      const onPermissionChange = jest.fn();
+      const listener = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onPermissionChange,
+        logLevel: "none",
+      });
+      wakeWord.on("permissionchange", listener);
+
+      await expect(wakeWord.checkPermission()).resolves.toBe("prompt");
+      expect(onPermissionChange).toHaveBeenCalledWith("prompt", "unknown");
+
+      status.state = "granted";
+      status.addEventListener.mock.calls[0][1]();
+      expect(listener).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: "permissionchange",
+          permission: "granted",
+          previous: "prompt",
+        })
+      );
+    });
+
+    test("should only watch the latest permission status", async () => {
+      const statuses = [1, 2].map(() => ({
+        state: "prompt",
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn(),
+      }));
+      const query = jest.fn();
+      statuses.forEach((status) => query.mockResolvedValueOnce(status));
+      mockNavigator("permissions", { query });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+
+      await wakeWord.checkPermission();
+      await wakeWord.checkPermission();
+      const onChange = statuses[0].addEventListener.mock.calls[0][1];
+      expect(statuses[0].removeEventListener).toHaveBeenCalledWith(
+        "change",
+        onChange
+      );
+      expect(statuses[1].addEventListener).toHaveBeenCalledTimes(1);
+    });
+
+    test("should report an unknown permission without the Permissions API", async () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      await expect(wakeWord.checkPermission()).resolves.toBe("unknown");
+    });
+
+    test("should request the permission for the chosen input", async () => {
+      const track = { stop: jest.fn() };
+      const getUserMedia = jest
+        .fn()
+        .mockResolvedValue({ getTracks: () => [track] });
+      mockNavigator("mediaDevices", { getUserMedia });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        audioInput: "usb-mic",
+        logLevel: "none",
+      });
+
+      await expect(wakeWord.requestPermission()).resolves.toBe("granted");
+      expect(getUserMedia).toHaveBeenCalledWith({
+        audio: { deviceId: { exact: "usb-mic" } },
+      });
+      expect(track.stop).toHaveBeenCalled();
+    });
+
+    test("should resolve denied requests", async () => {
+      const denied = Object.assign(new Error("Permission denied"), {
+        name: "NotAllowedError",
+      });
+      mockNavigator("mediaDevices", {
+        getUserMedia: jest.fn().mockRejectedValue(denied),
+      });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+
+      await expect(wakeWord.requestPermission()).resolves.toBe("denied");
+    });
+
+    test("should reject requests without microphone access", async () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      await expect(wakeWord.requestPermission()).rejects.toMatchObject({
+        code: "not-supported",
+      });
+    });
+
+    test("should stop when the recognizer is denied the microphone", () => {
+      const onPermissionChange = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onPermissionChange,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      recognitions[0].onerror({ error: "not-allowed", message: "" });
+      recognitions[0].onend();
+      expect(wakeWord.getState()).toBe("error");
+      expect(onPermissionChange).toHaveBeenCalledWith("denied", "unknown");
+    });
+
+    test("should list audio inputs", async () => {
+      mockNavigator("mediaDevices", {
+        enumerateDevices: jest.fn().mockResolvedValue([
+          { kind: "audioinput", deviceId: "a", label: "Mic", groupId: "1" },
+          { kind: "videoinput", deviceId: "b", label: "Camera", groupId: "2" },
+        ]),
+      });
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+
+      await expect(wakeWord.getAudioInputs()).resolves.toEqual([
+        { deviceId: "a", label: "Mic", groupId: "1" },
+      ]);
+    });
+
+    test("should choose the audio input where the backend allows it", () => {
+      const backend = {
+        isSupported: () => true,
+        start: jest.fn(),
+        stop: jest.fn(),
+        setAudioInput: jest.fn(),
+      };
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        backend,
+        audioInput: "usb-mic",
+        logLevel: "none",
+      });
+      wakeWord.start();
+      expect(backend.setAudioInput).toHaveBeenCalledWith("usb-mic");
+
+      expect(wakeWord.setAudioInput("headset")).toBe(true);
+      expect(backend.setAudioInput).toHaveBeenLastCalledWith("headset");
+      expect(wakeWord.getState()).toBe("restarting");
+
+      const webSpeech = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      expect(webSpeech.setAudioInput("headset")).toBe(false);
+    });
+  });
+
+  describe("logging", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should send structured records to a logger function", () => {
+      const logger = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logger,
+        namespace: "kitchen",
+        logLevel: "info",
+      });
+      wakeWord.start();
+
+      expect(logger).toHaveBeenCalledWith({
+        level: "info",
+        message: 'Starting with wake words: "hey test"',
+        data: undefined,
+        timestamp: expect.any(Number),
+        state: "idle",
+        namespace: "kitchen",
+      });
+      expect(
+        logger.mock.calls.every(([record]) => record.level !== "debug")
+      ).toBe(true);
+    });
+
+    test("should call the level methods of a logger object", () => {
+      const logger = { info: jest.fn(), warn: jest.fn() };
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logger,
+        logLevel: "all",
+      });
+      wakeWord.setLogLevel("verbose");
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          level: "warn",
+          message: "Invalid log level: verbose. Using default: info",
+        })
+      );
+    });
+
+    test("should namespace each instance", () => {
+      const logger = jest.fn();
+      const first = createWakeWordDetection({ wakeWord: "hey one", logger });
+      const second = createWakeWordDetection({ wakeWord: "hey two", logger });
+      first.setLanguage("fr-FR");
+      second.setLanguage("fr-FR");
+
+      const namespaces = logger.mock.calls.map(([record]) => record.namespace);
+      expect(namespaces[0]).toMatch(/^wake-word:\d+$/);
+      expect(namespaces[1]).toMatch(/^wake-word:\d+$/);
+      expect(namespaces[0]).not.toBe(namespaces[1]);
+    });
+
+    test("should prefix console output with the namespace", () => {
+      const info = jest.spyOn(console, "info").mockImplementation(() => {});
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        namespace: "kiosk",
+      });
+      wakeWord.setLanguage("de-DE");
+      expect(info).toHaveBeenCalledWith('[kiosk] Language set to: "de-DE"');
+    });
+
+    test("should log the command countdown at debug level", () => {
+      jest.useFakeTimers();
+      const logger = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logger,
+        logLevel: "debug",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      jest.advanceTimersByTime(1000);
+      expect(logger).toHaveBeenCalledWith(
+        expect.objectContaining({
+          level: "debug",
+          message: "Waiting for command... 2s remaining",
+        })
+      );
+      jest.useRealTimers();
+    });
+
+    test("should isolate a failing logger", () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logger: () => {
+          throw new Error("telemetry down");
+        },
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      expect(onCommand).toHaveBeenCalled();
+    });
+
+    test("should reject an invalid logger", () => {
+      expect(() =>
+        createWakeWordDetection({ wakeWord: "hey test", logger: {} })
+      ).toThrow("Invalid logger");
+    });
+  });
+
+  describe("wake word position", () => {
+    test("should accept the wake word anywhere by default", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test", onCommand });
+      wakeWord.start();
+
+      emitResult("I told her hey test is annoying");
+      expect(onCommand).toHaveBeenCalledWith(
+        "is annoying",
+        expect.objectContaining({ precedingText: "i told her" })
+      );
+    });
+
+    test("should only accept the wake word at the start with the prefix policy", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        wakeWordPosition: "prefix",
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("I told her hey test is annoying");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      emitResult("hey test lights on");
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ precedingText: "" })
+      );
+    });
+
+    test("should accept a few words before the wake word", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        wakeWordPosition: { maxPrecedingWords: 1 },
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("okay so hey test lights on");
+      expect(onCommand).not.toHaveBeenCalled();
+
+      emitResult("okay, hey test lights on");
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ precedingText: "okay" })
+      );
+    });
+
+    test("should keep the text before a trailing wake word for the command", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test", onCommand });
+      wakeWord.start();
+
+      emitResult("turn off the lights, hey test");
+      expect(wakeWord.getState()).toBe("awaiting-command");
+
+      emitResult("in the kitchen");
+      expect(onCommand).toHaveBeenCalledWith(
+        "in the kitchen",
+        expect.objectContaining({ precedingText: "turn off the lights" })
+      );
+    });
+
+    test("should reject an invalid position policy", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          wakeWordPosition: "middle",
+        })
+      ).toThrow("Invalid wakeWordPosition");
+    });
+  });
+
+  describe("command normalization", () => {
+    test("should deliver commands as heard by default", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test", onCommand });
+      wakeWord.start();
+
+      emitResult("hey test um, play track five");
+      expect(onCommand).toHaveBeenCalledWith(
+        "um, play track five",
+        expect.objectContaining({ rawCommand: "um, play track five" })
+      );
+    });
+
+    test("should strip fillers and punctuation and convert numbers", () => {
+      const onCommand = jest.fn();
+      const onIntent = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        normalize: true,
+        intents: [
+          {
+            name: "setTimer",
+            patterns: ["set a timer for {minutes:number} minutes"],
+          },
+        ],
+        onCommand,
+        onIntent,
+      });
+      wakeWord.start();
+
+      emitResult("hey test um, can you set a timer for twenty five minutes?");
+      expect(onCommand).toHaveBeenCalledWith(
+        "set a timer for 25 minutes",
+        expect.objectContaining({
+          rawCommand: "um, can you set a timer for twenty five minutes?",
+        })
+      );
+      expect(onIntent).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "setTimer", slots: { minutes: 25 } }),
+        expect.anything()
+      );
+    });
+
+    test("should strip punctuation after numbers but keep decimals and times", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        normalize: true,
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("hey test set a timer for 5.");
+      expect(onCommand).toHaveBeenLastCalledWith(
+        "set a timer for 5",
+        expect.anything()
+      );
+      wakeWord.trigger();
+      emitResult("add 3, 4 and five!");
+      expect(onCommand).toHaveBeenLastCalledWith(
+        "add 3 4 and 5",
+        expect.anything()
+      );
+      wakeWord.trigger();
+      emitResult("set the volume to 2.5 at 10:30.");
+      expect(onCommand).toHaveBeenLastCalledWith(
+        "set the volume to 2.5 at 10:30",
+        expect.anything()
+      );
+    });
+
+    test("should only join number words that form one number", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        normalize: { fillers: false },
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("hey test dial one two three and add one hundred and five");
+      expect(onCommand.mock.calls[0][0]).toBe("dial 1 2 3 and add 105");
+    });
+
+    test("should use the fillers of the language and custom transforms", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hallo test",
+        language: "de-DE",
+        normalize: {
+          transforms: [
+            (text, { raw, language }) => `${language}: ${text} (${raw})`,
+          ],
+        },
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("hallo test ähm licht an bitte");
+      expect(onCommand.mock.calls[0][0]).toBe(
+        "de-DE: licht an (ähm licht an bitte)"
+      );
+    });
+
+    test("should report a command that is only filler as a timeout", () => {
+      const onCommand = jest.fn();
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        normalize: { fillers: ["um", "uh"] },
+        onCommand,
+        onCommandTimeout,
+      });
+      wakeWord.start();
+
+      emitResult("hey test um uh");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onCommandTimeout).toHaveBeenCalled();
+    });
+
+    test("should reject invalid transforms", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          normalize: { transforms: ["uppercase"] },
+        })
+      ).toThrow("Invalid normalize.transforms");
+    });
+  });
+
+  describe("languages", () => {
+    test("should switch wake words with setLanguage", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        languages: { de: { wakeWord: "hallo test" } },
+        onCommand,
+      });
+      wakeWord.setLanguage("de-DE");
+      wakeWord.start();
+      expect(recognitions[0].lang).toBe("de-DE");
+      emitResult("hey test licht an");
+      expect(onCommand).not.toHaveBeenCalled();
+
+      emitResult("hallo test licht an");
+      expect(onCommand).toHaveBeenCalledWith(
+        "licht an",
+        expect.objectContaining({ wakeWord: "hallo test", language: "de-DE" })
+      );
+    });
+
+    test("should stay stopped when stopped while switching languages", () => {
+      jest.useFakeTimers();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      wakeWord.setLanguage("de-DE");
+      wakeWord.stop();
+      recognitions[0].onend();
+      jest.advanceTimersByTime(1000);
+      expect(wakeWord.getState()).toBe("idle");
+      jest.useRealTimers();
+    });
+
+    test("should use the cancel phrases of the language", () => {
+      const onCommand = jest.fn();
+      const onCommandCancelled = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hallo test",
+        language: "de-DE",
+        cancelPhrases: true,
+        onCommand,
+        onCommandCancelled,
+      });
+      wakeWord.start();
+
+      emitResult("hallo test licht an, vergiss es");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onCommandCancelled).toHaveBeenCalledWith(
+        expect.objectContaining({ phrase: "vergiss es" })
+      );
+    });
+
+    test("should listen for the wake words of every candidate language", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        language: ["en-US", "fr-FR"],
+        languages: {
+          en: { wakeWord: "hey test" },
+          fr: { wakeWord: "salut test", cancelPhrases: ["annule"] },
+        },
+        onCommand,
+      });
+      wakeWord.start();
+      expect(recognitions[0].lang).toBe("en-US");
+
+      emitResult("salut test allume la lumière");
+      expect(onCommand).toHaveBeenCalledWith(
+        "allume la lumière",
+        expect.objectContaining({ wakeWord: "salut test", language: "fr-FR" })
+      );
+    });
+
+    test("should ignore diacritics when folding is enabled", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey cafe",
+        foldDiacritics: true,
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("hey café crème brûlée");
+      expect(onCommand).toHaveBeenCalledWith(
+        "crème brûlée",
+        expect.objectContaining({ wakeWord: "hey cafe" })
+      );
+    });
+
+    test("should lowercase with the casing rules of the language", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "merhaba İstanbul",
+        language: "tr-TR",
+        onCommand,
+      });
+      wakeWord.start();
+
+      emitResult("MERHABA İSTANBUL ışıkları aç");
+      expect(onCommand).toHaveBeenCalledWith("ışıkları aç", expect.anything());
+    });
+
+    test("should reject invalid languages and profiles", () => {
+      expect(() =>
+        createWakeWordDetection({ wakeWord: "hey test", language: [] })
+      ).toThrow("Invalid language");
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          languages: { de: { wakeWord: "" } },
+        })
+      ).toThrow("Invalid wake word for language: de");
+    });
+  });
+
+  describe("manual trigger and push-to-talk", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should capture a command without the wake word", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test", onCommand });
+      expect(wakeWord.beginCommand()).toBe(false);
+      wakeWord.start();
+
+      expect(wakeWord.trigger()).toBe(true);
+      expect(wakeWord.getState()).toBe("awaiting-command");
+      emitResult("lights on");
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ wakeWord: null, trigger: "manual" })
+      );
+    });
+
+    test("should report the wake word as the trigger", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test", onCommand });
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      expect(onCommand).toHaveBeenCalledWith(
+        "lights on",
+        expect.objectContaining({ trigger: "wake-word" })
+      );
+    });
+
+    test("should capture until the press ends in push-to-talk mode", () => {
+      jest.useFakeTimers();
+      const onCommand = jest.fn();
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        pushToTalk: true,
+        onCommand,
+        onWakeWordDetected,
+      });
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      expect(onWakeWordDetected).not.toHaveBeenCalled();
+      expect(onCommand).not.toHaveBeenCalled();
+
+      expect(wakeWord.pressStart()).toBe(true);
+      jest.advanceTimersByTime(5000);
+      emitResult("turn on");
+      jest.advanceTimersByTime(5000);
+      emitResult("the lights", false);
+      expect(onCommand).not.toHaveBeenCalled();
+
+      expect(wakeWord.pressEnd()).toBe(true);
+      expect(onCommand).toHaveBeenCalledWith(
+        "turn on the lights",
+        expect.objectContaining({ trigger: "push-to-talk" })
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      expect(wakeWord.pressEnd()).toBe(false);
+    });
+
+    test("should hold a press past the maximum command duration", () => {
+      jest.useFakeTimers();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        pushToTalk: true,
+        endOfUtterance: { maxCommandDurationMs: 3000 },
+        onCommand,
+      });
+      wakeWord.start();
+
+      wakeWord.pressStart();
+      emitResult("turn on");
+      jest.advanceTimersByTime(5000);
+      emitResult("the lights");
+      expect(onCommand).not.toHaveBeenCalled();
+
+      expect(wakeWord.pressEnd()).toBe(true);
+      expect(onCommand).toHaveBeenCalledWith(
+        "turn on the lights",
+        expect.objectContaining({ trigger: "push-to-talk" })
+      );
+    });
+  });
+
+  describe("awaiting commands", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should resolve with the next command", async () => {
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test" });
+      wakeWord.start();
+
+      const next = wakeWord.waitForCommand();
+      emitResult("hey test my name is ada");
+      await expect(next).resolves.toMatchObject({
+        type: "command",
+        command: "my name is ada",
+        wakeWord: "hey test",
+      });
+    });
+
+    test("should resolve when the command handler throws", async () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onCommand: () => {
+          throw new Error("boom");
+        },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      const next = wakeWord.waitForCommand({ timeoutMs: 1000 });
+      emitResult("hey test lights on");
+      await expect(next).resolves.toMatchObject({ command: "lights on" });
+    });
+
+    test("should reject on timeout, cancel and abort", async () => {
+      jest.useFakeTimers();
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test" });
+      wakeWord.start();
+
+      const timedOut = wakeWord.waitForCommand({ timeoutMs: 1000 });
+      jest.advanceTimersByTime(1000);
+      await expect(timedOut).rejects.toMatchObject({ code: "timeout" });
+
+      const cancelled = wakeWord.waitForCommand();
+      wakeWord.trigger();
+      wakeWord.cancelCommand();
+      await expect(cancelled).rejects.toMatchObject({ code: "cancelled" });
+
+      const controller = new AbortController();
+      const aborted = wakeWord.waitForCommand({ signal: controller.signal });
+      controller.abort();
+      await expect(aborted).rejects.toMatchObject({ code: "aborted" });
+
+      const stopped = wakeWord.waitForCommand();
+      wakeWord.stop();
+      await expect(stopped).rejects.toThrow("The detector stopped");
+    });
+
+    test("should iterate over commands until the detector stops", async () => {
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test" });
+      wakeWord.start();
+
+      const received = [];
+      const iteration = (async () => {
+        for await (const { command, trigger } of wakeWord.commands()) {
+          received.push(`${trigger}: ${command}`);
+        }
+      })();
+
+      emitResult("hey test first");
+      wakeWord.trigger();
+      emitResult("second");
+      wakeWord.stop();
+      await iteration;
+
+      expect(received).toEqual(["wake-word: first", "manual: second"]);
+    });
+
+    test("should keep iterating when a failed restart recovers", async () => {
+      jest.useFakeTimers();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        resilience: { restartDelayMs: 100 },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      const iterator = wakeWord.commands();
+      const first = iterator.next();
+      const second = iterator.next();
+      const waited = wakeWord.waitForCommand();
+
+      recognitions[recognitions.length - 1].onerror({ error: "network" });
+      recognitions[recognitions.length - 1].onend();
+      jest
+        .spyOn(global.SpeechRecognition.prototype, "start")
+        .mockImplementationOnce(() => {
+          throw new Error("InvalidStateError");
+        });
+      jest.advanceTimersByTime(300);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      emitResult("hey test first");
+      wakeWord.trigger();
+      emitResult("second");
+
+      await expect(first).resolves.toMatchObject({
+        value: { command: "first" },
+        done: false,
+      });
+      await expect(second).resolves.toMatchObject({
+        value: { command: "second" },
+        done: false,
+      });
+      await expect(waited).resolves.toMatchObject({ command: "first" });
+      jest.restoreAllMocks();
+    });
+
+    test("should stop the detector when the start signal is aborted", () => {
+      wakeWord = createWakeWordDetection({ wakeWord: "hey test" });
+      const controller = new AbortController();
+      controller.abort();
+      wakeWord.start({ signal: controller.signal });
+      expect(wakeWord.getState()).toBe("idle");
+
+      const restartController = new AbortController();
+      wakeWord.start({ signal: restartController.signal });
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+
+      restartController.abort();
+      expect(wakeWord.getState()).toBe("idle");
+    });
+  });
+
+  describe("recognition hub", () => {
+    let lights;
+    let music;
+
+    afterEach(() => {
+      lights.stop();
+      music.stop();
+      jest.useRealTimers();
+    });
+
+    /**
+     * Create two detectors sharing one recognizer
+     */
+    function createDetectors(hub) {
+      const onLights = jest.fn();
+      const onMusic = jest.fn();
+      lights = createWakeWordDetection({
+        wakeWord: "hey lights",
+        backend: hub.createBackend(),
+        onCommand: onLights,
+      });
+      music = createWakeWordDetection({
+        wakeWord: "hey music",
+        backend: hub.createBackend(),
+        onCommand: onMusic,
+      });
+      return { onLights, onMusic };
+    }
+
+    test("should share one recognizer between detectors", () => {
+      const hub = createRecognitionHub();
+      const { onLights, onMusic } = createDetectors(hub);
+      lights.start();
+      music.start();
+
+      expect(recognitions).toHaveLength(1);
+      expect(hub.getActiveCount()).toBe(2);
+
+      emitResult("hey lights on");
+      emitResult("hey music play jazz");
+      expect(onLights).toHaveBeenCalledWith("on", expect.anything());
+      expect(onMusic).toHaveBeenCalledWith("play jazz", expect.anything());
+    });
+
+    test("should keep listening until the last detector pauses", () => {
+      jest.useFakeTimers();
+      const hub = createRecognitionHub();
+      const { onLights, onMusic } = createDetectors(hub);
+      lights.start();
+      music.start();
+      const stopRecognizer = jest.spyOn(recognitions[0], "stop");
+
+      music.pause();
+      expect(stopRecognizer).not.toHaveBeenCalled();
+      expect(hub.getActiveCount()).toBe(1);
+      emitResult("hey lights on");
+      emitResult("hey music play jazz");
+      expect(onLights).toHaveBeenCalled();
+      expect(onMusic).not.toHaveBeenCalled();
+
+      lights.pause();
+      expect(stopRecognizer).toHaveBeenCalledTimes(1);
+      expect(hub.isListening()).toBe(false);
+      recognitions[0].onend();
+
+      const startRecognizer = jest.spyOn(recognitions[0], "start");
+      music.resume();
+      expect(startRecognizer).toHaveBeenCalledTimes(1);
+      expect(hub.isListening()).toBe(true);
+    });
+
+    test("should restart the recognizer once when the session ends", () => {
+      jest.useFakeTimers();
+      const hub = createRecognitionHub();
+      createDetectors(hub);
+      lights.start();
+      music.start();
+      const startRecognizer = jest.spyOn(recognitions[0], "start");
+
+      recognitions[0].onend();
+      expect(hub.getActiveCount()).toBe(0);
+      expect(lights.getState()).toBe("restarting");
+
+      jest.advanceTimersByTime(100);
+      expect(startRecognizer).toHaveBeenCalledTimes(1);
+      expect(hub.getActiveCount()).toBe(2);
+      expect(music.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should report a failed recognizer restart to the detectors", () => {
+      jest.useFakeTimers();
+      const hub = createRecognitionHub();
+      const { onLights } = createDetectors(hub);
+      const onLightsError = jest.fn();
+      const onMusicError = jest.fn();
+      lights.on("error", onLightsError);
+      music.on("error", onMusicError);
+      lights.start();
+      music.start();
+
+      // Resumed while the recognizer is stopping, so it restarts on end
+      music.pause();
+      lights.pause();
+      lights.resume();
+      jest.spyOn(recognitions[0], "start").mockImplementationOnce(() => {
+        throw new Error("Microphone busy");
+      });
+      expect(() => recognitions[0].onend()).not.toThrow();
+      expect(onLightsError).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "audio-capture" })
+      );
+      expect(onMusicError).not.toHaveBeenCalled();
+      expect(hub.isListening()).toBe(false);
+
+      jest.advanceTimersByTime(5000);
+      expect(hub.isListening()).toBe(true);
+      emitResult("hey lights on");
+      expect(onLights).toHaveBeenCalledWith("on", expect.anything());
+    });
+  });
+
+  describe("command history", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+      window.localStorage.clear();
+    });
+
+    test("should record commands, cancellations and timeouts", () => {
+      jest.useFakeTimers();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: true,
+        cancelPhrases: true,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      wakeWord.trigger();
+      emitResult("cancel");
+      wakeWord.trigger();
+      jest.advanceTimersByTime(3000);
+
+      const history = wakeWord.getHistory();
+      expect(history.map((entry) => entry.outcome)).toEqual([
+        "command",
+        "cancelled",
+        "timeout",
+      ]);
+      expect(history[0]).toEqual({
+        outcome: "command",
+        command: "lights on",
+        rawCommand: "lights on",
+        transcript: "hey test lights on",
+        wakeWord: "hey test",
+        trigger: "wake-word",
+        startedAt: expect.any(Number),
+        timestamp: expect.any(Number),
+      });
+      expect(history[1]).toEqual(
+        expect.objectContaining({ rawCommand: "cancel", trigger: "manual" })
+      );
+
+      wakeWord.clearHistory();
+      expect(wakeWord.getHistory()).toEqual([]);
+    });
+
+    test("should keep the most recent entries", () => {
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { maxEntries: 2 },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      ["one", "two", "three"].forEach((command) => {
+        wakeWord.trigger();
+        emitResult(command);
+      });
+      expect(wakeWord.getHistory().map((entry) => entry.command)).toEqual([
+        "two",
+        "three",
+      ]);
+    });
+
+    test("should repeat the last command", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: true,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test lights on");
+      wakeWord.trigger();
+      emitResult("do that again");
+      expect(onCommand).toHaveBeenCalledTimes(2);
+      expect(onCommand).toHaveBeenLastCalledWith(
+        "lights on",
+        expect.objectContaining({ repeated: true, trigger: "manual" })
+      );
+      expect(wakeWord.getHistory().map((entry) => entry.command)).toEqual([
+        "lights on",
+        "lights on",
+      ]);
+    });
+
+    test("should dispatch a repeat phrase when there is nothing to repeat", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { repeatPhrases: ["once more"] },
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test once more");
+      expect(onCommand).toHaveBeenCalledWith(
+        "once more",
+        expect.objectContaining({ repeated: false })
+      );
+    });
+
+    test("should persist the history to localStorage", () => {
+      const first = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { storage: "localStorage", key: "assistant" },
+        logLevel: "none",
+      });
+      first.start();
+      emitResult("hey test lights on");
+      first.stop();
+      expect(JSON.parse(window.localStorage.getItem("assistant"))).toEqual([
+        expect.objectContaining({ command: "lights on" }),
+      ]);
+
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { storage: "localStorage", key: "assistant" },
+        logLevel: "none",
+      });
+      expect(wakeWord.getHistory()).toEqual([
+        expect.objectContaining({ command: "lights on" }),
+      ]);
+
+      wakeWord.clearHistory();
+      expect(JSON.parse(window.localStorage.getItem("assistant"))).toEqual([]);
+    });
+
+    test("should load the history from an asynchronous storage", async () => {
+      const storage = {
+        load: jest.fn(() =>
+          Promise.resolve([{ outcome: "command", command: "lights on" }])
+        ),
+        save: jest.fn(() => Promise.resolve()),
+      };
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { storage, key: "kitchen:history" },
+        logLevel: "none",
+      });
+      expect(storage.load).toHaveBeenCalledWith("kitchen:history");
+
+      await Promise.resolve();
+      expect(wakeWord.getHistory()).toEqual([
+        { outcome: "command", command: "lights on" },
+      ]);
+    });
+
+    test("should save entries recorded while the history loads after the load", async () => {
+      let resolveLoad;
+      const storage = {
+        load: jest.fn(() => new Promise((resolve) => (resolveLoad = resolve))),
+        save: jest.fn(),
+      };
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        history: { storage, key: "assistant" },
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test lights off");
+      expect(storage.save).not.toHaveBeenCalled();
+
+      resolveLoad([{ outcome: "command", command: "lights on" }]);
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(storage.save).toHaveBeenCalledTimes(1);
+      expect(storage.save).toHaveBeenCalledWith("assistant", [
+        { outcome: "command", command: "lights on" },
+        expect.objectContaining({ command: "lights off" }),
+      ]);
+    });
+
+    test("should repeat a command through the wake word that heard it", () => {
+      jest.useFakeTimers();
+      const onLights = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: [{ wakeWord: "hey lights", onCommand: onLights }, "hey test"],
+        history: true,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey lights turn on");
+      jest.advanceTimersByTime(2001);
+      emitResult("hey test do that again");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onLights).toHaveBeenCalledTimes(2);
+      expect(onLights).toHaveBeenLastCalledWith(
+        "turn on",
+        expect.objectContaining({ repeated: true, wakeWord: "hey lights" })
+      );
+    });
+
+    test("should validate the history option", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          history: { storage: "cookies" },
+        })
+      ).toThrow("Invalid history.storage: cookies");
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          history: { storage: "localStorage" },
+        })
+      ).toThrow("Invalid history.key");
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          history: { repeatPhrases: [""] },
+        })
+      ).toThrow("Invalid repeat phrase");
+
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        logLevel: "none",
+      });
+      expect(() => wakeWord.getHistory()).toThrow(
+        "Command history is not enabled"
+      );
+    });
+  });
+
+  describe("hotwords", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should fire once per utterance on an interim result", () => {
+      const onHotword = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        hotwords: ["next slide"],
+        onHotword,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("next", false);
+      expect(onHotword).not.toHaveBeenCalled();
+      emitResult("next slide", false);
+      emitResult("next slide please", false);
+      emitResult("next slide please");
+      expect(onHotword).toHaveBeenCalledTimes(1);
+      expect(onHotword).toHaveBeenCalledWith("next slide", {
+        wakeWord: null,
+        transcript: "next slide",
+        isFinal: false,
+        confidence: 0.9,
+      });
+      expect(onCommand).not.toHaveBeenCalled();
+    });
+
+    test("should require the wake word for wake word hotwords", () => {
+      const onHotword = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        hotwords: [{ phrase: "stop", wakeWord: true }],
+        onHotword,
+        onCommand,
+        logLevel: "none",
+      });
+      const events = [];
+      wakeWord.on("hotword", (event) => events.push(event));
+      wakeWord.start();
+
+      emitResult("stop");
+      expect(onHotword).not.toHaveBeenCalled();
+
+      emitResult("hey test", false);
+      emitResult("hey test stop", false);
+      emitResult("hey test stop");
+      expect(onHotword).toHaveBeenCalledWith(
+        "stop",
+        expect.objectContaining({ wakeWord: "hey test", isFinal: false })
+      );
+      expect(events).toEqual([
+        expect.objectContaining({ hotword: "stop", wakeWord: "hey test" }),
+      ]);
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should drop the command awaited after the wake word", () => {
+      const onStop = jest.fn();
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        hotwords: [{ phrase: "stop", wakeWord: true, onHotword: onStop }],
+        onCommandTimeout,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test");
+      expect(wakeWord.getState()).toBe("awaiting-command");
+      emitResult("stop", false);
+      expect(onStop).toHaveBeenCalledWith(
+        "stop",
+        expect.objectContaining({ wakeWord: "hey test" })
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      expect(onCommandTimeout).not.toHaveBeenCalled();
+    });
+
+    test("should only fire inside commands when the hotword allows it", () => {
+      jest.useFakeTimers();
+      const onHotword = jest.fn();
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        hotwords: [
+          "next slide",
+          { phrase: "cancel that", duringCommand: true },
+        ],
+        onHotword,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test open the next slide deck");
+      expect(onCommand).toHaveBeenCalledWith(
+        "open the next slide deck",
+        expect.anything()
+      );
+      expect(onHotword).not.toHaveBeenCalled();
+
+      emitResult("next slide hey test", false);
+      expect(onHotword).toHaveBeenCalledWith("next slide", expect.anything());
+      emitResult("next slide hey test");
+
+      jest.advanceTimersByTime(2001);
+      emitResult("hey test");
+      emitResult("turn on the lights cancel that", false);
+      expect(onHotword).toHaveBeenLastCalledWith(
+        "cancel that",
+        expect.objectContaining({ wakeWord: "hey test" })
+      );
+      expect(onCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test("should debounce a hotword across utterances", () => {
+      jest.useFakeTimers();
+      const onHotword = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        hotwords: ["next slide"],
+        onHotword,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("next slide");
+      emitResult("next slide");
+      expect(onHotword).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1000);
+      emitResult("next slide");
+      expect(onHotword).toHaveBeenCalledTimes(2);
+    });
+
+    test("should add and remove hotwords at runtime", () => {
+      const onHotword = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onHotword,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      wakeWord.addHotword("Next slide!");
+      emitResult("next slide");
+      expect(onHotword).toHaveBeenCalledWith("Next slide!", expect.any(Object));
+
+      expect(wakeWord.removeHotword("next slide")).toBe(true);
+      expect(wakeWord.removeHotword("next slide")).toBe(false);
+      expect(() => wakeWord.addHotword({ phrase: "" })).toThrow(
+        "Invalid hotword"
+      );
+      expect(() =>
+        wakeWord.addHotword({ phrase: "stop", debounceMs: -1 })
+      ).toThrow("Invalid debounceMs for hotword: stop");
+    });
+  });
+
+  describe("early activation", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should announce the wake word once per activation", () => {
+      const onWakeWordDetected = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        onWakeWordDetected,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey", false);
+      emitResult("hey test", false);
+      emitResult("hey test", false);
+      emitResult("hey test");
+      emitResult("lights on");
+      expect(onWakeWordDetected).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(2000);
+      emitResult("hey test", false);
+      expect(onWakeWordDetected).toHaveBeenCalledTimes(2);
+    });
+
+    test("should activate from stable interim results", () => {
+      const onCommand = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        earlyActivation: true,
+        onCommand,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test", false);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      emitResult("hey test", false);
+      expect(wakeWord.getState()).toBe("awaiting-command");
+      emitResult("hey test turn on", false);
+      expect(wakeWord.getState()).toBe("capturing-command");
+
+      emitResult("hey test turn on the lights");
+      expect(onCommand).toHaveBeenCalledWith(
+        "turn on the lights",
+        expect.objectContaining({ wakeWord: "hey test", trigger: "wake-word" })
+      );
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+    });
+
+    test("should start the command timer on activation", () => {
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        earlyActivation: { stableResults: 3 },
+        onCommandTimeout,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test", false);
+      emitResult("hey test", false);
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      emitResult("hey test", false);
+      expect(wakeWord.getState()).toBe("awaiting-command");
+
+      jest.advanceTimersByTime(1000);
+      emitResult("hey test");
+      expect(wakeWord.getState()).toBe("awaiting-command");
+      jest.advanceTimersByTime(2000);
+      expect(onCommandTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test("should drop an activation the final result does not confirm", () => {
+      const onCommand = jest.fn();
+      const onCommandTimeout = jest.fn();
+      wakeWord = createWakeWordDetection({
+        wakeWord: "hey test",
+        earlyActivation: true,
+        onCommand,
+        onCommandTimeout,
+        logLevel: "none",
+      });
+      wakeWord.start();
+
+      emitResult("hey test", false);
+      emitResult("hey test", false);
+      expect(wakeWord.getState()).toBe("awaiting-command");
+
+      emitResult("hey there");
+      expect(wakeWord.getState()).toBe("listening-for-wake-word");
+      expect(onCommand).not.toHaveBeenCalled();
+      expect(onCommandTimeout).not.toHaveBeenCalled();
+    });
+
+    test("should validate the early activation option", () => {
+      expect(() =>
+        createWakeWordDetection({
+          wakeWord: "hey test",
+          earlyActivation: { stableResults: 1.5 },
+        })
+      ).toThrow("Invalid earlyActivation.stableResults: 1.5");
+    });
+  });
 });
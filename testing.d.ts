@@ -0,0 +1,226 @@
+/**
+ * Testing utilities - Drive a WakeWordDetection instance without a microphone
+ */
+
+import {
+  DetectorState,
+  RecognitionAlternative,
+  SpeechRecognitionBackend,
+  WakeWordDetection,
+  WakeWordDetectionOptions,
+  WakeWordEventMap,
+} from "./wake-word-detection.js";
+
+/**
+ * Options for the fake recognizer
+ */
+export interface FakeRecognizerOptions {
+  /**
+   * Whether the recognizer reports itself as supported
+   * @default true
+   */
+  supported?: boolean;
+
+  /**
+   * Delay before onend fires after the detector stops the recognizer
+   * @default 0
+   */
+  endDelayMs?: number;
+}
+
+/**
+ * Options for a scripted result
+ */
+export interface FakeResultOptions {
+  /**
+   * The confidence of the transcript
+   * @default 0.9
+   */
+  confidence?: number;
+
+  /**
+   * Less likely alternatives
+   */
+  alternatives?: RecognitionAlternative[];
+}
+
+/**
+ * A step of a script: a final transcript, or one action with an optional delay
+ */
+export type ScriptStep =
+  | string
+  | (FakeResultOptions & {
+      /**
+       * How long to wait before the step in milliseconds
+       * @default 0
+       */
+      delayMs?: number;
+      interim?: string;
+      final?: string;
+      say?: string;
+      error?: string;
+      message?: string;
+      end?: true;
+    });
+
+/**
+ * A speech recognition backend driven by the test
+ */
+export interface FakeRecognizer extends SpeechRecognitionBackend {
+  /**
+   * Whether the detector has started the recognizer
+   */
+  readonly isListening: boolean;
+
+  /**
+   * How many times the detector started the recognizer
+   */
+  readonly startCount: number;
+
+  /**
+   * The language set by the detector
+   */
+  readonly language: string | null;
+
+  /**
+   * Emit an interim result
+   */
+  interim: (transcript: string, options?: FakeResultOptions) => void;
+
+  /**
+   * Emit a final result
+   */
+  final: (transcript: string, options?: FakeResultOptions) => void;
+
+  /**
+   * Emit an interim result for every word followed by the final result
+   */
+  say: (transcript: string, options?: FakeResultOptions) => void;
+
+  /**
+   * Emit a recognition error
+   */
+  error: (error: string, message?: string) => void;
+
+  /**
+   * End the recognition session
+   */
+  end: () => void;
+
+  /**
+   * Play a script of steps
+   * @returns Resolves after the last step, rejects if a step fails
+   */
+  play: (script: ScriptStep[]) => Promise<void>;
+
+  /**
+   * Cancel scripted steps and pending end events that have not run yet
+   */
+  reset: () => void;
+}
+
+/**
+ * Events recorded from a detector
+ */
+export interface EventRecording {
+  events: WakeWordEventMap[keyof WakeWordEventMap][];
+
+  /**
+   * Get the recorded events of a type
+   */
+  ofType: <K extends keyof WakeWordEventMap>(type: K) => WakeWordEventMap[K][];
+
+  /**
+   * Get the recorded commands
+   */
+  commands: () => string[];
+
+  /**
+   * Get the states the detector moved to
+   */
+  states: () => DetectorState[];
+
+  /**
+   * Forget the recorded events
+   */
+  clear: () => void;
+
+  /**
+   * Stop recording
+   */
+  dispose: () => void;
+}
+
+/**
+ * A detector wired to a fake recognizer and an event recording
+ */
+export interface TestHarness {
+  detection: WakeWordDetection;
+  recognizer: FakeRecognizer;
+  recording: EventRecording;
+}
+
+/**
+ * Create a fake speech recognition backend that is driven by the test
+ */
+export function createFakeRecognizer(
+  options?: FakeRecognizerOptions
+): FakeRecognizer;
+
+/**
+ * Record every event emitted by a detector
+ */
+export function recordEvents(detection: WakeWordDetection): EventRecording;
+
+/**
+ * Create a detector wired to a fake recognizer and an event recording
+ */
+export function createTestHarness(
+  options: Omit<WakeWordDetectionOptions, "backend">,
+  recognizerOptions?: FakeRecognizerOptions
+): TestHarness;
+
+/**
+ * Assert that an event was emitted
+ * @throws {Error} If no such event was emitted
+ */
+export function assertEvent<K extends keyof WakeWordEventMap>(
+  recording: EventRecording,
+  type: K,
+  fields?: Partial<WakeWordEventMap[K]>
+): WakeWordEventMap[K];
+
+/**
+ * Assert that a command was dispatched
+ * @throws {Error} If the command was not dispatched
+ */
+export function assertCommand(
+  recording: EventRecording,
+  command: string,
+  details?: Partial<WakeWordEventMap["command"]>
+): WakeWordEventMap["command"];
+
+/**
+ * Assert that no command was dispatched
+ * @throws {Error} If a command was dispatched
+ */
+export function assertNoCommand(recording: EventRecording): void;
+
+/**
+ * Assert that an intent was matched
+ * @throws {Error} If the intent was not matched
+ */
+export function assertIntent(
+  recording: EventRecording,
+  name: string,
+  slots?: Record<string, any>
+): WakeWordEventMap["intent"];
+
+/**
+ * Assert that the detector moved through the given states in order
+ * @throws {Error} If the states were not visited in order
+ */
+export function assertStates(
+  recording: EventRecording,
+  states: DetectorState[] | string[]
+): void;
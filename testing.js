@@ -0,0 +1,486 @@
+/**
+ * Testing utilities - Drive a WakeWordDetection instance without a microphone
+ *
+ * All timing goes through the global `setTimeout`, so scripts can be played
+ * with fake timers (e.g. `jest.useFakeTimers()`).
+ */
+
+import { WakeWordEvent, createWakeWordDetection } from "./wake-word-detection.js";
+
+/**
+ * Normalize a result passed to the fake recognizer
+ * @param {string} transcript - The transcript of the most likely alternative
+ * @param {boolean} isFinal - Whether the result is final
+ * @param {Object} [options] - Result options
+ * @param {number} [options.confidence=0.9] - The confidence of the transcript
+ * @param {Array<Object>} [options.alternatives] - Less likely alternatives (`{ transcript, confidence }`)
+ * @returns {Object} The result event
+ */
+function createResult(transcript, isFinal, options = {}) {
+  const confidence =
+    typeof options.confidence === "number" ? options.confidence : 0.9;
+  const alternatives = [{ transcript, confidence }].concat(
+    options.alternatives || []
+  );
+
+  return { transcript, isFinal, confidence, alternatives };
+}
+
+/**
+ * Normalize a step of a script
+ * @param {string|Object} step - The step, a string being shorthand for a final result
+ * @returns {Object} The normalized step
+ * @throws {Error} If the step does not describe an action
+ */
+function normalizeStep(step) {
+  const normalized = typeof step === "string" ? { final: step } : step;
+  const actions = ["interim", "final", "say", "error", "end"].filter(
+    (action) => normalized && normalized[action] !== undefined
+  );
+
+  if (actions.length !== 1) {
+    throw new Error(`Invalid script step: ${JSON.stringify(step)}`);
+  }
+
+  return {
+    ...normalized,
+    action: actions[0],
+    delayMs: normalized.delayMs || 0,
+  };
+}
+
+/**
+ * Create a fake speech recognition backend that is driven by the test
+ * @param {Object} [options] - Recognizer options
+ * @param {boolean} [options.supported=true] - Whether the recognizer reports itself as supported
+ * @param {number} [options.endDelayMs=0] - Delay before `onend` fires after the detector stops the recognizer
+ * @returns {Object} A backend to pass as `options.backend`, with methods to script speech
+ */
+export function createFakeRecognizer(options = {}) {
+  const supported = options.supported !== false;
+  const endDelayMs = options.endDelayMs || 0;
+  const timers = [];
+
+  /**
+   * Schedule a callback, keeping track of it so it can be cancelled
+   * @param {Function} callback - The callback
+   * @param {number} delayMs - The delay in milliseconds
+   */
+  function schedule(callback, delayMs) {
+    const timer = setTimeout(() => {
+      timers.splice(timers.indexOf(timer), 1);
+      callback();
+    }, delayMs);
+    timers.push(timer);
+  }
+
+  /**
+   * Make sure the recognizer was started, like a real recognizer that only
+   * produces results while listening
+   * @param {string} action - What the test tried to do
+   */
+  function assertListening(action) {
+    if (!recognizer.isListening) {
+      throw new Error(`Cannot ${action}: the fake recognizer is not listening`);
+    }
+  }
+
+  /**
+   * Deliver a result to the detector
+   * @param {Object} result - The result event
+   */
+  function deliver(result) {
+    assertListening(`emit "${result.transcript}"`);
+    if (recognizer.onresult) recognizer.onresult(result);
+  }
+
+  /**
+   * Perform a step of a script
+   * @param {Object} step - The normalized step
+   */
+  function perform(step) {
+    switch (step.action) {
+      case "interim":
+        recognizer.interim(step.interim, step);
+        break;
+      case "final":
+        recognizer.final(step.final, step);
+        break;
+      case "say":
+        recognizer.say(step.say, step);
+        break;
+      case "error":
+        recognizer.error(step.error, step.message);
+        break;
+      default:
+        recognizer.end();
+    }
+  }
+
+  const recognizer = {
+    onresult: null,
+    onerror: null,
+    onend: null,
+
+    /**
+     * Whether the detector has started the recognizer
+     */
+    isListening: false,
+
+    /**
+     * How many times the detector started the recognizer
+     */
+    startCount: 0,
+
+    /**
+     * The language set by the detector
+     */
+    language: null,
+
+    isSupported() {
+      return supported;
+    },
+
+    start() {
+      if (!supported) {
+        throw new Error("Speech recognition not supported in this browser");
+      }
+      if (recognizer.isListening) {
+        throw new Error("Recognizer already started");
+      }
+      recognizer.isListening = true;
+      recognizer.startCount++;
+    },
+
+    stop() {
+      if (!recognizer.isListening) return;
+
+      // Real recognizers end asynchronously after being stopped
+      schedule(() => recognizer.end(), endDelayMs);
+    },
+
+    setLanguage(language) {
+      recognizer.language = language;
+    },
+
+    /**
+     * Emit an interim result
+     * @param {string} transcript - The transcript
+     * @param {Object} [options] - `{ confidence, alternatives }`
+     */
+    interim(transcript, options) {
+      deliver(createResult(transcript, false, options));
+    },
+
+    /**
+     * Emit a final result
+     * @param {string} transcript - The transcript
+     * @param {Object} [options] - `{ confidence, alternatives }`
+     */
+    final(transcript, options) {
+      deliver(createResult(transcript, true, options));
+    },
+
+    /**
+     * Emit an utterance the way a recognizer hears it: an interim result for
+     * every word followed by the final result
+     * @param {string} transcript - The transcript
+     * @param {Object} [options] - `{ confidence, alternatives }` of the final result
+     */
+    say(transcript, options) {
+      const words = transcript.split(/\s+/).filter(Boolean);
+      words.forEach((word, index) => {
+        recognizer.interim(words.slice(0, index + 1).join(" "));
+      });
+      recognizer.final(transcript, options);
+    },
+
+    /**
+     * Emit a recognition error
+     * @param {string} error - The error code (e.g. "network", "no-speech")
+     * @param {string} [message] - The error message
+     */
+    error(error, message = "") {
+      assertListening(`emit the "${error}" error`);
+      if (recognizer.onerror) recognizer.onerror({ error, message });
+    },
+
+    /**
+     * End the recognition session, as recognizers do on their own after
+     * silence or errors
+     */
+    end() {
+      if (!recognizer.isListening) return;
+      recognizer.isListening = false;
+      if (recognizer.onend) recognizer.onend();
+    },
+
+    /**
+     * Play a script of steps. Each step is a final transcript, or an object
+     * with one of `interim`, `final`, `say`, `error` or `end: true`, an optional
+     * `delayMs` to wait before the step, and `confidence` / `alternatives` for
+     * results. Steps without a delay run immediately.
+     * @param {Array<string|Object>} script - The steps
+     * @returns {Promise<void>} Resolves after the last step, rejects if a step fails
+     * @throws {Error} If a step does not describe an action
+     */
+    play(script) {
+      const steps = script.map(normalizeStep);
+
+      return new Promise((resolve, reject) => {
+        const run = (index, waited) => {
+          if (index === steps.length) {
+            resolve();
+            return;
+          }
+
+          const step = steps[index];
+          if (step.delayMs > 0 && !waited) {
+            schedule(() => run(index, true), step.delayMs);
+            return;
+          }
+
+          try {
+            perform(step);
+          } catch (error) {
+            reject(error);
+            return;
+          }
+          run(index + 1, false);
+        };
+
+        run(0, false);
+      });
+    },
+
+    /**
+     * Cancel scripted steps and pending end events that have not run yet
+     */
+    reset() {
+      timers.splice(0).forEach((timer) => clearTimeout(timer));
+    },
+  };
+
+  return recognizer;
+}
+
+/**
+ * Record every event emitted by a detector
+ * @param {Object} detection - A WakeWordDetection instance
+ * @returns {Object} The recording, with the `events` list and helpers to query it
+ */
+export function recordEvents(detection) {
+  const events = [];
+  const record = (event) => events.push(event);
+  const types = Object.values(WakeWordEvent);
+
+  types.forEach((type) => detection.on(type, record));
+
+  return {
+    events,
+
+    /**
+     * Get the recorded events of a type
+     * @param {string} type - The event type
+     * @returns {Array<Object>} The events
+     */
+    ofType(type) {
+      return events.filter((event) => event.type === type);
+    },
+
+    /**
+     * Get the recorded commands
+     * @returns {Array<string>} The commands
+     */
+    commands() {
+      return events
+        .filter((event) => event.type === WakeWordEvent.COMMAND)
+        .map((event) => event.command);
+    },
+
+    /**
+     * Get the states the detector moved to
+     * @returns {Array<string>} The states
+     */
+    states() {
+      return events
+        .filter((event) => event.type === WakeWordEvent.STATE_CHANGE)
+        .map((event) => event.to);
+    },
+
+    /**
+     * Forget the recorded events
+     */
+    clear() {
+      events.splice(0);
+    },
+
+    /**
+     * Stop recording
+     */
+    dispose() {
+      types.forEach((type) => detection.off(type, record));
+    },
+  };
+}
+
+/**
+ * Create a detector wired to a fake recognizer and an event recording
+ * @param {Object} options - Detector options (see createWakeWordDetection), logging defaults to none
+ * @param {Object} [recognizerOptions] - Fake recognizer options (see createFakeRecognizer)
+ * @returns {{detection: Object, recognizer: Object, recording: Object}} The harness
+ */
+export function createTestHarness(options, recognizerOptions) {
+  const recognizer = createFakeRecognizer(recognizerOptions);
+  const detection = createWakeWordDetection({
+    logLevel: "none",
+    ...options,
+    backend: recognizer,
+  });
+  const recording = recordEvents(detection);
+
+  return { detection, recognizer, recording };
+}
+
+/**
+ * Check whether a value contains the expected fields, comparing them deeply
+ * @param {*} actual - The actual value
+ * @param {*} expected - The expected value
+ * @returns {boolean} True if the value matches
+ */
+function matches(actual, expected) {
+  if (expected === null || typeof expected !== "object") {
+    return actual === expected;
+  }
+  if (actual === null || typeof actual !== "object") return false;
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((value, index) => matches(actual[index], value))
+    );
+  }
+  return Object.keys(expected).every((key) =>
+    matches(actual[key], expected[key])
+  );
+}
+
+/**
+ * Describe recorded events for assertion messages
+ * @param {Array<Object>} events - The events
+ * @param {string} field - The field to show
+ * @returns {string} The description
+ */
+function describeRecorded(events, field) {
+  if (events.length === 0) return "none";
+  return events.map((event) => JSON.stringify(event[field])).join(", ");
+}
+
+/**
+ * Assert that an event was emitted
+ * @param {Object} recording - A recording from recordEvents
+ * @param {string} type - The event type
+ * @param {Object} [fields] - Fields the event must contain
+ * @returns {Object} The first matching event
+ * @throws {Error} If no such event was emitted
+ */
+export function assertEvent(recording, type, fields = {}) {
+  const events = recording.ofType(type);
+  const event = events.find((candidate) => matches(candidate, fields));
+  if (!event) {
+    throw new Error(
+      `Expected a "${type}" event matching ${JSON.stringify(fields)}, ` +
+        `got ${events.length} "${type}" event(s)`
+    );
+  }
+  return event;
+}
+
+/**
+ * Assert that a command was dispatched
+ * @param {Object} recording - A recording from recordEvents
+ * @param {string} command - The command text
+ * @param {Object} [details] - Fields the command event must contain (e.g. `{ wakeWord }`)
+ * @returns {Object} The command event
+ * @throws {Error} If the command was not dispatched
+ */
+export function assertCommand(recording, command, details = {}) {
+  const events = recording.ofType(WakeWordEvent.COMMAND);
+  const event = events.find((candidate) =>
+    matches(candidate, { ...details, command })
+  );
+  if (!event) {
+    throw new Error(
+      `Expected command "${command}", got commands: ${describeRecorded(
+        events,
+        "command"
+      )}`
+    );
+  }
+  return event;
+}
+
+/**
+ * Assert that no command was dispatched
+ * @param {Object} recording - A recording from recordEvents
+ * @throws {Error} If a command was dispatched
+ */
+export function assertNoCommand(recording) {
+  const events = recording.ofType(WakeWordEvent.COMMAND);
+  if (events.length > 0) {
+    throw new Error(
+      `Expected no command, got commands: ${describeRecorded(
+        events,
+        "command"
+      )}`
+    );
+  }
+}
+
+/**
+ * Assert that an intent was matched
+ * @param {Object} recording - A recording from recordEvents
+ * @param {string} name - The intent name
+ * @param {Object} [slots] - Slot values the intent must contain
+ * @returns {Object} The intent event
+ * @throws {Error} If the intent was not matched
+ */
+export function assertIntent(recording, name, slots = {}) {
+  const events = recording.ofType(WakeWordEvent.INTENT);
+  const event = events.find((candidate) =>
+    matches(candidate.intent, { name, slots })
+  );
+  if (!event) {
+    throw new Error(
+      `Expected intent "${name}" with slots ${JSON.stringify(slots)}, ` +
+        `got intents: ${describeRecorded(
+          events.map((candidate) => candidate.intent),
+          "name"
+        )}`
+    );
+  }
+  return event;
+}
+
+/**
+ * Assert that the detector moved through the given states in order
+ * (other states may come in between)
+ * @param {Object} recording - A recording from recordEvents
+ * @param {Array<string>} states - The expected states
+ * @throws {Error} If the states were not visited in order
+ */
+export function assertStates(recording, states) {
+  const visited = recording.states();
+  let position = 0;
+  states.forEach((expected) => {
+    const index = visited.indexOf(expected, position);
+    if (index === -1) {
+      throw new Error(
+        `Expected states ${states.join(" -> ")}, got ${
+          visited.join(" -> ") || "none"
+        }`
+      );
+    }
+    position = index + 1;
+  });
+}
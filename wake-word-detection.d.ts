@@ -14,43 +14,1184 @@ export enum LogLevel {
   ALL = "all",
 }
 
+/**
+ * A structured log record
+ */
+export interface LogRecord {
+  level: "error" | "warn" | "info" | "debug";
+  message: string;
+  data?: any;
+  timestamp: number;
+
+  /**
+   * The detector state when the record was logged
+   */
+  state: DetectorState;
+
+  /**
+   * The name of the instance that logged the record
+   */
+  namespace: string;
+}
+
+/**
+ * Receives log records
+ */
+export type LogSink = (record: LogRecord) => void;
+
+/**
+ * States of the detector
+ */
+export enum DetectorState {
+  IDLE = "idle",
+  STARTING = "starting",
+  LISTENING = "listening-for-wake-word",
+  AWAITING_COMMAND = "awaiting-command",
+  CAPTURING_COMMAND = "capturing-command",
+  PAUSED = "paused",
+  RESTARTING = "restarting",
+  ERROR = "error",
+}
+
+/**
+ * Events that can be subscribed to with on, once and off
+ */
+export enum WakeWordEvent {
+  STATE_CHANGE = "statechange",
+  WAKE_WORD = "wakeword",
+  TRANSCRIPTION = "transcription",
+  COMMAND = "command",
+  INTENT = "intent",
+  UNMATCHED_COMMAND = "unmatchedcommand",
+  COMMAND_TIMEOUT = "commandtimeout",
+  COMMAND_CANCELLED = "commandcancelled",
+  HOTWORD = "hotword",
+  CONVERSATION_END = "conversationend",
+  ERROR = "error",
+  GIVE_UP = "giveup",
+  PERMISSION_CHANGE = "permissionchange",
+}
+
+/**
+ * States of the microphone permission
+ */
+export enum MicrophonePermission {
+  GRANTED = "granted",
+  DENIED = "denied",
+  PROMPT = "prompt",
+  UNKNOWN = "unknown",
+}
+
+/**
+ * An audio input device
+ */
+export interface AudioInput {
+  deviceId: string;
+
+  /**
+   * Empty until the microphone permission is granted
+   */
+  label: string;
+
+  groupId: string;
+}
+
+/**
+ * Stable codes of the errors reported by the detector
+ */
+export enum ErrorCode {
+  NOT_SUPPORTED = "not-supported",
+  PERMISSION_DENIED = "permission-denied",
+  AUDIO_CAPTURE = "audio-capture",
+  NETWORK = "network",
+  ABORTED = "aborted",
+  LANGUAGE_NOT_SUPPORTED = "language-not-supported",
+  RESTART_EXHAUSTED = "restart-exhausted",
+  TIMEOUT = "timeout",
+  CANCELLED = "cancelled",
+  UNKNOWN = "unknown",
+}
+
+/**
+ * Options for a WakeWordError
+ */
+export interface WakeWordErrorOptions {
+  /**
+   * The original error or recognizer error event
+   */
+  cause?: unknown;
+
+  /**
+   * The detector state when the error occurred
+   */
+  state?: DetectorState;
+
+  /**
+   * Whether the detector can recover on its own (defaults by code)
+   */
+  recoverable?: boolean;
+}
+
+/**
+ * An error reported by the detector
+ */
+export class WakeWordError extends Error {
+  constructor(
+    code: ErrorCode | string,
+    message: string,
+    options?: WakeWordErrorOptions
+  );
+
+  name: "WakeWordError";
+
+  /**
+   * Stable error code
+   */
+  code: ErrorCode;
+
+  /**
+   * Whether the detector can recover on its own; permission denials,
+   * unsupported environments and languages and exhausted restarts need
+   * user or developer action
+   */
+  recoverable: boolean;
+
+  /**
+   * The original error or recognizer error event
+   */
+  cause: unknown;
+
+  /**
+   * The detector state when the error occurred
+   */
+  state: DetectorState | null;
+}
+
+/**
+ * A single recognition hypothesis
+ */
+export interface RecognitionAlternative {
+  transcript: string;
+  confidence: number | null;
+}
+
+/**
+ * Result event emitted by a speech recognition backend
+ */
+export interface RecognitionResultEvent {
+  /**
+   * The transcript of the current utterance (best alternative)
+   */
+  transcript: string;
+
+  /**
+   * Whether the recognizer will not revise this transcript any further
+   */
+  isFinal: boolean;
+
+  /**
+   * Confidence of the best alternative, between 0 and 1
+   */
+  confidence?: number;
+
+  /**
+   * All alternatives for the current utterance, best first
+   */
+  alternatives?: RecognitionAlternative[];
+}
+
+/**
+ * Error event emitted by a speech recognition backend
+ */
+export interface RecognitionErrorEvent {
+  /**
+   * The error code (e.g., "no-speech", "network", "audio-capture")
+   */
+  error: string;
+
+  /**
+   * A human readable description of the error
+   */
+  message?: string;
+}
+
+/**
+ * A speech recognition backend consumed by the detector
+ * The detector assigns the onresult, onerror and onend handlers
+ */
+export interface SpeechRecognitionBackend {
+  /**
+   * Check if the backend can run in this environment
+   */
+  isSupported: () => boolean;
+
+  /**
+   * Start recognizing speech
+   */
+  start: () => void;
+
+  /**
+   * Stop recognizing speech; the backend calls onend once stopped
+   */
+  stop: () => void;
+
+  /**
+   * Change the recognition language
+   */
+  setLanguage?: (language: string) => void;
+
+  /**
+   * Choose the audio input device, or null for the default input
+   */
+  setAudioInput?: (deviceId: string | null) => void;
+
+  onresult: ((event: RecognitionResultEvent) => void) | null;
+  onerror: ((event: RecognitionErrorEvent) => void) | null;
+  onend: (() => void) | null;
+}
+
+/**
+ * How the detector recovers from recognizer errors and silence
+ */
+export interface ResilienceOptions {
+  /**
+   * Minimum time between two wake word activations
+   * @default 2000
+   */
+  wakeWordCooldownMs?: number;
+
+  /**
+   * Minimum time between two handled no-speech errors
+   * @default 1000
+   */
+  errorCooldownMs?: number;
+
+  /**
+   * Restart attempts without a result before giving up
+   * @default 5
+   */
+  maxRestartAttempts?: number;
+
+  /**
+   * Delay before the first restart attempt, doubled on each further attempt
+   * @default 1000
+   */
+  restartDelayMs?: number;
+
+  /**
+   * Maximum delay between restart attempts
+   * @default 30000
+   */
+  maxRestartDelayMs?: number;
+
+  /**
+   * Fraction (0-1) by which restart delays are randomly shortened
+   * @default 0
+   */
+  jitter?: number;
+
+  /**
+   * Restart the recognizer after this long without results (0 to disable)
+   * @default 30000
+   */
+  inactivityTimeoutMs?: number;
+
+  /**
+   * How long a buffered quick command stays valid
+   * @default 1000
+   */
+  quickCommandBufferMs?: number;
+}
+
+/**
+ * The most recent error
+ */
+export interface ErrorRecord {
+  code: ErrorCode;
+  message: string;
+  timestamp: number;
+}
+
+/**
+ * Details passed when the detector gives up restarting
+ */
+export interface GiveUpDetails {
+  reason: "max-restart-attempts";
+  attempts: number;
+
+  /**
+   * The error that caused the last restart
+   */
+  lastError: WakeWordError | null;
+}
+
+/**
+ * Health status of the detector
+ */
+export interface HealthStatus {
+  state: DetectorState;
+
+  /**
+   * Time since the detector was started, 0 when stopped
+   */
+  uptimeMs: number;
+
+  /**
+   * Restarts since the detector was started
+   */
+  restarts: number;
+
+  /**
+   * Consecutive restart attempts without a result
+   */
+  restartAttempts: number;
+
+  lastError: ErrorRecord | null;
+
+  /**
+   * When the most recent result was received
+   */
+  lastResultAt: number | null;
+
+  /**
+   * Whether the detector gave up restarting
+   */
+  gaveUp: boolean;
+}
+
+/**
+ * Options for recording the session
+ */
+export interface SessionRecordingOptions {
+  /**
+   * Maximum number of entries kept, oldest dropped first
+   * @default 5000
+   */
+  maxEntries?: number;
+}
+
+/**
+ * A storage persisting the command history
+ */
+export interface HistoryStorage {
+  load: (key: string) => HistoryEntry[] | Promise<HistoryEntry[]>;
+  save: (key: string, entries: HistoryEntry[]) => void | Promise<void>;
+}
+
+/**
+ * Options for the command history
+ */
+export interface HistoryOptions {
+  /**
+   * Maximum number of entries kept, oldest dropped first
+   * @default 50
+   */
+  maxEntries?: number;
+
+  /**
+   * Where to persist the history
+   */
+  storage?: "localStorage" | "indexedDB" | HistoryStorage;
+
+  /**
+   * Key the history is persisted under, required with a storage
+   */
+  key?: string;
+
+  /**
+   * Commands that repeat the last command
+   * @default ["repeat last command", "repeat that", "do that again"]
+   */
+  repeatPhrases?: string[];
+}
+
+/**
+ * An entry of the command history
+ */
+export interface HistoryEntry {
+  /**
+   * How the capture ended
+   */
+  outcome: CommandOutcome | string;
+
+  /**
+   * The command passed to onCommand, or "" for timeouts and cancellations
+   */
+  command: string;
+
+  /**
+   * The command as heard, before normalization
+   */
+  rawCommand: string;
+
+  /**
+   * The transcript of the last result of the capture
+   */
+  transcript: string;
+
+  /**
+   * The wake word that started the capture
+   */
+  wakeWord: string | null;
+
+  /**
+   * What started the capture
+   */
+  trigger: CommandTrigger | string | null;
+
+  /**
+   * When the capture started
+   */
+  startedAt: number | null;
+
+  /**
+   * When the capture ended
+   */
+  timestamp: number;
+}
+
+/**
+ * An entry of a recorded session, one per JSON Lines line
+ */
+export type SessionEntry = { timestamp: number } & (
+  | {
+      type: "session";
+      version: number;
+      language: string;
+      wakeWords: string[];
+    }
+  | { type: "start" }
+  | {
+      type: "result";
+      transcript: string;
+      isFinal: boolean;
+      confidence: number | null;
+      alternatives: RecognitionAlternative[];
+    }
+  | { type: "error"; error: string; message: string }
+  | { type: "end" }
+  | { type: "restart"; reason: string; attempt?: number; delayMs?: number }
+  | { type: "state"; from: DetectorState; to: DetectorState; reason: string }
+);
+
+/**
+ * Options for replaying a session
+ */
+export interface ReplayOptions {
+  /**
+   * Playback speed; 2 replays twice as fast
+   * @default 1
+   */
+  speed?: number;
+}
+
+/**
+ * A backend replaying a recorded session; stop() plays up to the next recorded
+ * end event and pauses the replay, and start() resumes it
+ */
+export interface ReplayBackend extends SpeechRecognitionBackend {
+  /**
+   * Resolves after the last recorded entry was replayed
+   */
+  finished: Promise<void>;
+}
+
+/**
+ * Options for the Web Speech API backend
+ */
+export interface WebSpeechBackendOptions {
+  /**
+   * The language to use for speech recognition
+   * @default "en-US"
+   */
+  language?: string;
+
+  /**
+   * How many alternatives to request for each result
+   * @default 1
+   */
+  maxAlternatives?: number;
+}
+
+/**
+ * Minimum confidence thresholds, between 0 and 1
+ */
+export interface MinConfidenceOptions {
+  /**
+   * Final results below this confidence are not searched for the wake word
+   * @default 0
+   */
+  wakeWord?: number;
+
+  /**
+   * Commands below this confidence are dropped
+   * @default 0
+   */
+  command?: number;
+}
+
+/**
+ * Details passed alongside a transcription
+ */
+export interface TranscriptionDetails {
+  isFinal: boolean;
+  confidence: number | null;
+  alternatives: RecognitionAlternative[];
+}
+
+/**
+ * Strategies for matching wake words against transcripts
+ */
+export enum MatchStrategy {
+  EXACT = "exact",
+  FUZZY = "fuzzy",
+  PHONETIC = "phonetic",
+}
+
+/**
+ * Options controlling how wake words are matched against transcripts
+ */
+export interface MatchingOptions {
+  /**
+   * Matching strategy
+   * exact: the wake word (or an alias) must appear verbatim
+   * fuzzy: spans within an edit-distance similarity threshold also match
+   * phonetic: spans that sound alike (simplified Metaphone keys) also match
+   * @default "exact"
+   */
+  strategy?: MatchStrategy | string;
+
+  /**
+   * Minimum score (between 0 and 1) for fuzzy and phonetic matches
+   * @default 0.75
+   */
+  threshold?: number;
+}
+
+/**
+ * What started the capture of a command
+ */
+export enum CommandTrigger {
+  WAKE_WORD = "wake-word",
+  FOLLOW_UP = "follow-up",
+  MANUAL = "manual",
+  PUSH_TO_TALK = "push-to-talk",
+}
+
+/**
+ * How a command capture ended, as recorded in the command history
+ */
+export enum CommandOutcome {
+  COMMAND = "command",
+  TIMEOUT = "timeout",
+  CANCELLED = "cancelled",
+}
+
+/**
+ * Where a wake word may appear in an utterance
+ */
+export enum WakeWordPosition {
+  PREFIX = "prefix",
+  ANYWHERE = "anywhere",
+}
+
+/**
+ * Wake word position policy
+ * prefix: the wake word must start the utterance
+ * anywhere: the wake word may appear anywhere in the utterance
+ * {maxPrecedingWords}: up to that many words may be said before the wake word
+ */
+export type WakeWordPositionPolicy =
+  | WakeWordPosition
+  | "prefix"
+  | "anywhere"
+  | { maxPrecedingWords: number };
+
+/**
+ * Details about a wake word match
+ */
+export interface WakeWordMatch {
+  /**
+   * The wake word that was matched
+   */
+  wakeWord: string;
+
+  /**
+   * The part of the transcript that matched the wake word
+   */
+  matchedText: string;
+
+  /**
+   * How closely the transcript matched, between 0 and 1 (1 for exact and alias matches)
+   */
+  score: number;
+
+  /**
+   * The matching strategy in use
+   */
+  strategy: MatchStrategy | string;
+
+  /**
+   * The language of the wake word, or the recognition language
+   */
+  language: string;
+}
+
+/**
+ * A wake word with an optional command handler of its own
+ */
+export interface WakeWordDefinition {
+  /**
+   * The wake word to detect (e.g., "hey lights")
+   */
+  wakeWord: string;
+
+  /**
+   * Alternative spellings that also count as this wake word (e.g., "hey aurora")
+   */
+  aliases?: string[];
+
+  /**
+   * Callback function that is called with commands spoken after this wake word
+   * Overrides the global onCommand callback for this wake word
+   */
+  onCommand?: (command: string, details: CommandDetails) => void;
+}
+
+/**
+ * Options for activating the wake word from interim results
+ */
+export interface EarlyActivationOptions {
+  /**
+   * Consecutive interim results the wake word must be found in at the same position
+   * @default 2
+   */
+  stableResults?: number;
+}
+
+/**
+ * Policy deciding when a command is complete
+ */
+export interface EndOfUtteranceOptions {
+  /**
+   * End the command after this many milliseconds without new results,
+   * once the user started speaking
+   * @default 2000
+   */
+  silenceTimeoutMs?: number;
+
+  /**
+   * Maximum duration of a command in milliseconds, except for push-to-talk
+   * captures, which last until the press ends
+   * @default 15000
+   */
+  maxCommandDurationMs?: number;
+
+  /**
+   * Merge final segments into one command until silence, instead of ending
+   * the command on the first final result
+   * @default false
+   */
+  mergeFinalSegments?: boolean;
+}
+
+/**
+ * The conversation API passed to command handlers in conversation mode
+ */
+export interface ConversationTurn {
+  /**
+   * Context object carried across all turns of the conversation
+   */
+  context: Record<string, any>;
+
+  /**
+   * The number of this turn, starting at 1
+   */
+  turn: number;
+
+  /**
+   * Keep listening for a follow-up command without the wake word
+   * Async handlers can call this any time before their promise settles
+   */
+  followUp: () => void;
+
+  /**
+   * End the conversation
+   */
+  end: () => void;
+}
+
+/**
+ * Options for multi-turn conversations
+ */
+export interface ConversationOptions {
+  /**
+   * How long to wait for a follow-up in milliseconds
+   * @default 8000
+   */
+  followUpTimeoutMs?: number;
+}
+
+/**
+ * Summary passed when a conversation ends
+ */
+export interface ConversationSummary {
+  context: Record<string, any>;
+  turns: number;
+
+  /**
+   * Why the conversation ended
+   */
+  reason: "ended" | "timeout" | "cancelled" | "stopped";
+}
+
+/**
+ * Details passed when a command is cancelled
+ */
+export interface CommandCancellation {
+  /**
+   * What was heard of the command
+   */
+  command: string;
+
+  /**
+   * The cancel phrase that was heard, or null when cancelled with cancelCommand()
+   */
+  phrase: string | null;
+
+  reason: "phrase" | "manual";
+  wakeWord: string | null;
+}
+
+/**
+ * Wake word and command handling for one language
+ */
+export interface LanguageProfile {
+  /**
+   * The wake word of the language, replacing the wakeWord option while the language is active
+   */
+  wakeWord?: string | WakeWordDefinition | Array<string | WakeWordDefinition>;
+
+  /**
+   * Phrases that abort the command in progress
+   * Defaults to the cancelPhrases option, which is the built-in phrases of the language when `true`
+   */
+  cancelPhrases?: string[];
+
+  /**
+   * Filler words stripped by the normalization pipeline
+   * Defaults to the built-in fillers of the language
+   */
+  fillers?: string[];
+}
+
+/**
+ * Options of the command normalization pipeline
+ */
+export interface NormalizeOptions {
+  /**
+   * Strip filler words and phrases ("um", "please", "can you"):
+   * true for the defaults of the recognition language, or a list of them
+   * @default true
+   */
+  fillers?: boolean | string[];
+
+  /**
+   * Remove recognizer punctuation, keeping decimal points and times
+   * @default true
+   */
+  punctuation?: boolean;
+
+  /**
+   * Replace spelled-out English numbers with digits ("twenty five" becomes "25")
+   * @default true
+   */
+  numbers?: boolean;
+
+  /**
+   * Custom transforms applied in order after the built-in steps
+   */
+  transforms?: Array<
+    (text: string, context: { raw: string; language: string }) => string
+  >;
+}
+
+/**
+ * Details passed alongside an extracted command
+ */
+export interface CommandDetails {
+  /**
+   * The command as heard, before normalization
+   */
+  rawCommand: string;
+
+  /**
+   * The wake word that started the command
+   */
+  wakeWord: string | null;
+
+  /**
+   * The score of the wake word match
+   */
+  score: number | null;
+
+  /**
+   * What was said before the wake word in the same utterance
+   * (e.g. "turn off the lights" for "turn off the lights, hey computer"), or ""
+   */
+  precedingText: string;
+
+  /**
+   * The language of the wake word that started the command, or the recognition language
+   */
+  language: string;
+
+  /**
+   * What started the capture of the command
+   */
+  trigger: CommandTrigger | string;
+
+  /**
+   * Whether the command repeats the last command after a repeat phrase
+   */
+  repeated: boolean;
+
+  /**
+   * The lowest confidence of the final results making up the command,
+   * or null if unknown
+   */
+  confidence: number | null;
+
+  /**
+   * The alternatives of the last result of the command, best first
+   */
+  alternatives: RecognitionAlternative[];
+
+  /**
+   * The conversation API, when conversation mode is enabled
+   */
+  conversation?: ConversationTurn;
+}
+
+/**
+ * A phrase acted on as soon as it is heard, without waiting for a command
+ */
+export interface HotwordDefinition {
+  /**
+   * The phrase (e.g., "next slide")
+   */
+  phrase: string;
+
+  /**
+   * Handler for this hotword, instead of the global onHotword callback
+   */
+  onHotword?: (phrase: string, details: HotwordDetails) => void;
+
+  /**
+   * Whether the phrase must directly follow the wake word ("hey computer stop")
+   * @default false
+   */
+  wakeWord?: boolean;
+
+  /**
+   * Whether the phrase also fires inside a command ("hey computer turn it off
+   * stop"); otherwise only the words spoken before the wake word are searched
+   * @default false
+   */
+  duringCommand?: boolean;
+
+  /**
+   * Minimum time between two activations of the hotword in milliseconds
+   * @default 1000
+   */
+  debounceMs?: number;
+}
+
+/**
+ * Details passed alongside a hotword
+ */
+export interface HotwordDetails {
+  /**
+   * The wake word heard with the hotword, if any
+   */
+  wakeWord: string | null;
+
+  /**
+   * The transcript of the result containing the hotword
+   */
+  transcript: string;
+
+  /**
+   * Whether the result was final
+   */
+  isFinal: boolean;
+
+  /**
+   * The confidence of the result, or null if unknown
+   */
+  confidence: number | null;
+}
+
+/**
+ * An intent matched against commands
+ */
+export interface IntentDefinition {
+  /**
+   * The name reported when the intent matches
+   */
+  name: string;
+
+  /**
+   * Patterns made of words, (a|b) alternatives, [optional|words] and slots:
+   * {name} (any text), {name:number}, {name:on|off} (one of the listed values)
+   * or {name:type} (a value of a configured slot type)
+   * e.g., "turn {state:on|off} [the] {room:room} lights"
+   */
+  patterns: string | string[];
+}
+
+/**
+ * A command that matched an intent
+ */
+export interface IntentMatch {
+  /**
+   * The name of the matched intent
+   */
+  name: string;
+
+  /**
+   * The slot values; number slots are parsed into numbers
+   */
+  slots: Record<string, string | number>;
+
+  /**
+   * The command the intent was matched against
+   */
+  raw: string;
+}
+
+/**
+ * Custom slot types: a list of values, or a map of values to their synonyms
+ */
+export type SlotTypes = Record<string, string[] | Record<string, string[]>>;
+
+/**
+ * Fields shared by all event payloads
+ */
+export interface WakeWordEventBase<T extends string> {
+  /**
+   * The event type
+   */
+  type: T;
+
+  /**
+   * When the event was emitted (milliseconds since the epoch)
+   */
+  timestamp: number;
+
+  /**
+   * The state of the detector when the event was emitted
+   */
+  state: DetectorState;
+}
+
+/**
+ * Payloads of the events emitted by a WakeWordDetection instance
+ */
+export interface WakeWordEventMap {
+  statechange: WakeWordEventBase<"statechange"> & {
+    from: DetectorState;
+    to: DetectorState;
+    reason: string;
+  };
+  wakeword: WakeWordEventBase<"wakeword"> &
+    WakeWordMatch & {
+      transcript: string;
+      isFinal: boolean;
+      confidence: number | null;
+      alternatives: RecognitionAlternative[];
+    };
+  transcription: WakeWordEventBase<"transcription"> &
+    TranscriptionDetails & {
+      transcript: string;
+      wakeWord: string | null;
+    };
+  command: WakeWordEventBase<"command"> &
+    CommandDetails & {
+      command: string;
+      transcript: string;
+    };
+  intent: WakeWordEventBase<"intent"> &
+    CommandDetails & {
+      intent: IntentMatch;
+    };
+  unmatchedcommand: WakeWordEventBase<"unmatchedcommand"> &
+    CommandDetails & {
+      command: string;
+    };
+  commandtimeout: WakeWordEventBase<"commandtimeout">;
+  commandcancelled: WakeWordEventBase<"commandcancelled"> & CommandCancellation;
+  hotword: WakeWordEventBase<"hotword"> &
+    HotwordDetails & {
+      hotword: string;
+    };
+  conversationend: WakeWordEventBase<"conversationend"> & ConversationSummary;
+  error: WakeWordEventBase<"error"> & {
+    error: WakeWordError;
+    code: ErrorCode;
+    message: string;
+    recoverable: boolean;
+  };
+  giveup: WakeWordEventBase<"giveup"> & GiveUpDetails;
+  permissionchange: WakeWordEventBase<"permissionchange"> & {
+    permission: MicrophonePermission;
+    previous: MicrophonePermission;
+  };
+}
+
 /**
  * Options for creating a WakeWordDetection instance
  */
 export interface WakeWordDetectionOptions {
   /**
    * The wake word to detect (e.g., "hey agora")
-   * This parameter is mandatory
+   * Pass a list to listen for several wake words, each optionally with its own onCommand handler
+   * This parameter is mandatory unless every language has a profile wake word or pushToTalk is enabled
    */
-  wakeWord: string;
+  wakeWord?: string | WakeWordDefinition | Array<string | WakeWordDefinition>;
 
   /**
-   * The language to use for speech recognition (e.g., "en-US")
+   * The language to use for speech recognition (e.g., "en-US"), or a list of
+   * candidate languages whose wake words are all listened for (the first one is used for recognition)
    * Optional, defaults to "en-US"
    */
-  language?: string;
+  language?: string | string[];
+
+  /**
+   * Language profiles by language code ("de-DE", or "de" for every German variant)
+   */
+  languages?: Record<string, LanguageProfile>;
+
+  /**
+   * Ignore accents and other diacritics when matching wake words and cancel phrases
+   * @default false
+   */
+  foldDiacritics?: boolean;
+
+  /**
+   * Speech recognition backend
+   * Optional, defaults to the Web Speech API backend
+   */
+  backend?: SpeechRecognitionBackend;
+
+  /**
+   * How wake words are matched against transcripts
+   */
+  matching?: MatchingOptions;
+
+  /**
+   * Where the wake word may appear in an utterance
+   * @default "anywhere"
+   */
+  wakeWordPosition?: WakeWordPositionPolicy;
 
   /**
-   * Callback function that is called when the wake word is detected
+   * Callback function that is called with the matched wake word when it is detected,
+   * once per activation
    */
-  onWakeWordDetected?: () => void;
+  onWakeWordDetected?: (wakeWord: string, match: WakeWordMatch) => void;
 
   /**
    * Callback function that is called with the current transcription
    * This is called in real-time as the user speaks
    */
-  onTranscription?: (transcription: string) => void;
+  onTranscription?: (
+    transcription: string,
+    details: TranscriptionDetails
+  ) => void;
 
   /**
    * Callback function that is called with the extracted command
-   * This is called when the command is finalized
+   * This is called when the command is finalized, for wake words without their own handler
+   */
+  onCommand?: (
+    command: string,
+    details: CommandDetails
+  ) => void | Promise<void>;
+
+  /**
+   * Intents matched against every command, in registration order
+   */
+  intents?: IntentDefinition[];
+
+  /**
+   * Custom slot types used by intent patterns (e.g., { room: { "living room": ["lounge"] } })
+   */
+  slotTypes?: SlotTypes;
+
+  /**
+   * Callback function that is called when a command matches an intent
+   * This is called after onCommand
+   */
+  onIntent?: (intent: IntentMatch, details: CommandDetails) => void;
+
+  /**
+   * Callback function that is called when a command matches none of the intents
+   */
+  onUnmatchedCommand?: (command: string, details: CommandDetails) => void;
+
+  /**
+   * Phrases acted on as soon as an interim result contains them, taking precedence over commands
+   */
+  hotwords?: (string | HotwordDefinition)[];
+
+  /**
+   * Callback function that is called for hotwords without their own handler
+   */
+  onHotword?: (phrase: string, details: HotwordDetails) => void;
+
+  /**
+   * Callback function that is called when the detector state changes
    */
-  onCommand?: (command: string) => void;
+  onStateChange?: (
+    from: DetectorState,
+    to: DetectorState,
+    reason: string
+  ) => void;
 
   /**
    * Callback function that is called when an error occurs
    */
-  onError?: (error: string) => void;
+  onError?: (error: WakeWordError) => void;
+
+  /**
+   * Callback function that is called when the detector gives up restarting
+   */
+  onGiveUp?: (details: GiveUpDetails) => void;
+
+  /**
+   * Only capture commands between pressStart() and pressEnd(), ignoring the wake word
+   * @default false
+   */
+  pushToTalk?: boolean;
+
+  /**
+   * Device ID of the audio input to use, for backends that support choosing it
+   */
+  audioInput?: string;
+
+  /**
+   * Callback function that is called when the microphone permission changes
+   */
+  onPermissionChange?: (
+    permission: MicrophonePermission,
+    previous: MicrophonePermission
+  ) => void;
+
+  /**
+   * How the detector recovers from recognizer errors and silence
+   */
+  resilience?: ResilienceOptions;
 
   /**
    * Callback function that is called when the command timeout occurs
@@ -58,26 +1199,186 @@ export interface WakeWordDetectionOptions {
   onCommandTimeout?: () => void;
 
   /**
-   * Log level for console output
+   * Phrases that abort the command in progress as soon as what was heard so far
+   * consists of or ends with them, or `true` for the built-in phrases of the language
+   * (["cancel", "never mind", "nevermind"] in English)
+   * @default false
+   */
+  cancelPhrases?: boolean | string[];
+
+  /**
+   * Normalize commands before they are delivered:
+   * true for every built-in step, or the steps to apply
+   * @default false
+   */
+  normalize?: boolean | NormalizeOptions;
+
+  /**
+   * Callback function that is called when a command is cancelled
+   */
+  onCommandCancelled?: (cancellation: CommandCancellation) => void;
+
+  /**
+   * Enable multi-turn conversations: command handlers can request a follow-up
+   * that is captured without repeating the wake word
+   */
+  conversation?: boolean | ConversationOptions;
+
+  /**
+   * Callback function that is called when a conversation ends
+   */
+  onConversationEnd?: (summary: ConversationSummary) => void;
+
+  /**
+   * Log level
    * @default "info"
    */
   logLevel?: LogLevel | string;
+
+  /**
+   * Log sink receiving structured records, either a function or an object
+   * with level methods (defaults to the console)
+   */
+  logger?:
+    | LogSink
+    | Partial<Record<"error" | "warn" | "info" | "debug", LogSink>>;
+
+  /**
+   * Name of this instance in log records
+   * @default "wake-word:<n>"
+   */
+  namespace?: string;
+
+  /**
+   * Timeout duration in milliseconds for command detection
+   * @default 3000
+   */
+  commandTimeoutMs?: number;
+
+  /**
+   * Policy deciding when a command is complete
+   */
+  endOfUtterance?: EndOfUtteranceOptions;
+
+  /**
+   * Activate the wake word from interim results, starting the command timer
+   * without waiting for the final result
+   * @default false
+   */
+  earlyActivation?: boolean | EarlyActivationOptions;
+
+  /**
+   * How many alternatives to request from the default backend
+   * @default 1
+   */
+  maxAlternatives?: number;
+
+  /**
+   * Minimum confidence for wake words and commands, either one threshold
+   * for both or separate thresholds
+   * @default 0
+   */
+  minConfidence?: number | MinConfidenceOptions;
+
+  /**
+   * Record raw recognition events, errors, restarts and state transitions
+   * for exportSession()
+   * @default false
+   */
+  recordSession?: boolean | SessionRecordingOptions;
+
+  /**
+   * Keep a history of commands, timeouts and cancellations for getHistory()
+   * @default false
+   */
+  history?: boolean | HistoryOptions;
+}
+
+/**
+ * The payload of a command event
+ */
+export type CommandEvent = WakeWordEventMap["command"];
+
+/**
+ * Options of start()
+ */
+export interface StartOptions {
+  /**
+   * Stop the detector when the signal is aborted
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options of waitForCommand()
+ */
+export interface WaitForCommandOptions {
+  /**
+   * Reject if no command arrives within this many milliseconds
+   */
+  timeoutMs?: number;
+
+  /**
+   * Reject when the signal is aborted
+   */
+  signal?: AbortSignal;
 }
 
 /**
  * WakeWordDetection instance
  */
 export interface WakeWordDetection {
+  /**
+   * Subscribe to an event
+   * Returns a function that unsubscribes the handler
+   */
+  on: <K extends keyof WakeWordEventMap>(
+    type: K,
+    handler: (event: WakeWordEventMap[K]) => void
+  ) => () => void;
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * Returns a function that unsubscribes the handler
+   */
+  once: <K extends keyof WakeWordEventMap>(
+    type: K,
+    handler: (event: WakeWordEventMap[K]) => void
+  ) => () => void;
+
+  /**
+   * Unsubscribe from an event
+   */
+  off: <K extends keyof WakeWordEventMap>(
+    type: K,
+    handler: (event: WakeWordEventMap[K]) => void
+  ) => void;
+
   /**
    * Start listening for the wake word
    */
-  start: () => void;
+  start: (options?: StartOptions) => void;
 
   /**
    * Stop listening for the wake word
    */
   stop: () => void;
 
+  /**
+   * Wait for the next command
+   * Rejects with a WakeWordError on timeout (timeout), when the command is cancelled (cancelled),
+   * or when the signal is aborted or the detector stops (aborted)
+   */
+  waitForCommand: (options?: WaitForCommandOptions) => Promise<CommandEvent>;
+
+  /**
+   * Iterate over commands as they are processed, for use with `for await`
+   * The iteration ends when the signal is aborted or the detector stops
+   */
+  commands: (options?: {
+    signal?: AbortSignal;
+  }) => AsyncIterableIterator<CommandEvent>;
+
   /**
    * Pause listening for the wake word
    */
@@ -89,14 +1390,146 @@ export interface WakeWordDetection {
   resume: () => void;
 
   /**
-   * Set a new wake word
+   * Get the current state of the detector
+   */
+  getState: () => DetectorState;
+
+  /**
+   * Set a new wake word, replacing those of the wakeWord option and
+   * addWakeWord; language profile wake words still apply to their languages
+   */
+  setWakeWord: (
+    wakeWord: string | WakeWordDefinition | Array<string | WakeWordDefinition>
+  ) => void;
+
+  /**
+   * Add a wake word, or replace the handler of a wake word. Added wake words
+   * are listened for in every language, including languages with profile wake
+   * words
+   */
+  addWakeWord: (
+    wakeWord: string | WakeWordDefinition,
+    onCommand?: (command: string, details: CommandDetails) => void
+  ) => boolean;
+
+  /**
+   * Remove a wake word of the wakeWord option or added with addWakeWord.
+   * Returns false for language profile wake words and the last remaining wake
+   * word
+   */
+  removeWakeWord: (wakeWord: string) => boolean;
+
+  /**
+   * Register an intent, replacing any intent with the same name
+   */
+  addIntent: (intent: IntentDefinition) => void;
+
+  /**
+   * Remove an intent
+   */
+  removeIntent: (name: string) => boolean;
+
+  /**
+   * Register a hotword, replacing any hotword with the same phrase
+   */
+  addHotword: (hotword: string | HotwordDefinition) => void;
+
+  /**
+   * Remove a hotword
+   */
+  removeHotword: (phrase: string) => boolean;
+
+  /**
+   * End the active conversation, closing any open follow-up window
+   */
+  endConversation: () => void;
+
+  /**
+   * Cancel the command in progress and return to wake word listening
+   * @returns True if a command was cancelled
+   */
+  cancelCommand: () => boolean;
+
+  /**
+   * Capture a command right away, as if the wake word had been heard
+   * @returns True if command capture started, false if the detector is not listening for the wake word
+   */
+  beginCommand: () => boolean;
+
+  /**
+   * Alias of beginCommand()
+   */
+  trigger: () => boolean;
+
+  /**
+   * Start a push-to-talk capture, which lasts until pressEnd()
+   * @returns True if the capture started, false if the detector is not listening for the wake word
+   */
+  pressStart: () => boolean;
+
+  /**
+   * End the push-to-talk capture, processing what was heard so far
+   * @returns True if a push-to-talk capture was ended
+   */
+  pressEnd: () => boolean;
+
+  /**
+   * Export the recorded session as JSON Lines
+   * @throws {Error} If session recording is not enabled
+   */
+  exportSession: () => string;
+
+  /**
+   * Forget the recorded session and start a new one
+   */
+  clearSession: () => void;
+
+  /**
+   * Get the command history, oldest entry first
+   * @throws {Error} If the history is not enabled
+   */
+  getHistory: () => HistoryEntry[];
+
+  /**
+   * Forget the command history, including the persisted one
+   */
+  clearHistory: () => void;
+
+  /**
+   * Get the health of the detector
+   */
+  getHealth: () => HealthStatus;
+
+  /**
+   * Check the microphone permission without prompting the user, and watch
+   * it for changes
+   */
+  checkPermission: () => Promise<MicrophonePermission>;
+
+  /**
+   * Ask the user for microphone access, prompting if needed
+   * @throws {WakeWordError} If the browser has no microphone access API or
+   * the microphone can't be opened
+   */
+  requestPermission: () => Promise<MicrophonePermission>;
+
+  /**
+   * List the audio inputs
+   */
+  getAudioInputs: () => Promise<AudioInput[]>;
+
+  /**
+   * Choose the audio input, for backends that support it
+   * @returns True if the backend supports choosing the audio input
    */
-  setWakeWord: (wakeWord: string) => void;
+  setAudioInput: (deviceId: string | null) => boolean;
 
   /**
-   * Set a new language
+   * Set a new language, or a list of candidate languages with the recognition language first,
+   * switching to the wake words of their profiles. With a backend from a recognition hub, the
+   * recognition language changes for every detector sharing the hub
    */
-  setLanguage: (language: string) => void;
+  setLanguage: (language: string | string[]) => void;
 
   /**
    * Set the log level
@@ -104,7 +1537,7 @@ export interface WakeWordDetection {
   setLogLevel: (logLevel: LogLevel | string) => void;
 
   /**
-   * Check if the browser supports speech recognition
+   * Check if the speech recognition backend is supported in this environment
    */
   isSupported: () => boolean;
 }
@@ -115,3 +1548,64 @@ export interface WakeWordDetection {
 export function createWakeWordDetection(
   options?: WakeWordDetectionOptions
 ): WakeWordDetection;
+
+/**
+ * Create a speech recognition backend that replays a recorded session
+ * @throws {Error} If the session is invalid
+ */
+export function createReplayBackend(
+  session: string | SessionEntry[],
+  options?: ReplayOptions
+): ReplayBackend;
+
+/**
+ * Options of a recognition hub
+ */
+export interface RecognitionHubOptions {
+  /**
+   * The shared speech recognition backend
+   * Optional, defaults to the Web Speech API backend
+   */
+  backend?: SpeechRecognitionBackend;
+
+  /**
+   * The maximum number of alternatives per result
+   * @default 1
+   */
+  maxAlternatives?: number;
+}
+
+/**
+ * One speech recognizer shared by several detectors
+ */
+export interface RecognitionHub {
+  /**
+   * Create a virtual backend for one detector
+   */
+  createBackend: () => SpeechRecognitionBackend;
+
+  /**
+   * Get the number of detectors listening through the hub
+   */
+  getActiveCount: () => number;
+
+  /**
+   * Check if the shared recognizer is running
+   */
+  isListening: () => boolean;
+}
+
+/**
+ * Create a hub sharing one speech recognizer between several detectors
+ * The recognizer runs while at least one detector listens; the language and audio input are shared
+ */
+export function createRecognitionHub(
+  options?: RecognitionHubOptions
+): RecognitionHub;
+
+/**
+ * Create a speech recognition backend using the Web Speech API
+ */
+export function createWebSpeechBackend(
+  options?: WebSpeechBackendOptions
+): SpeechRecognitionBackend;
@@ -16,764 +16,4779 @@ export const LogLevel = {
 };
 
 /**
- * Create a new WakeWordDetection instance
- * @param {Object} options - Configuration options
- * @param {string} options.wakeWord - The wake word to detect (mandatory)
- * @param {string} [options.language="en-US"] - The language to use for speech recognition
- * @param {Function} [options.onWakeWordDetected] - Callback when wake word is detected
- * @param {Function} [options.onTranscription] - Callback with current transcription
- * @param {Function} [options.onCommand] - Callback with extracted command
- * @param {Function} [options.onError] - Callback when an error occurs
- * @param {Function} [options.onCommandTimeout] - Callback when command timeout occurs
- * @param {string} [options.logLevel="info"] - Log level for console output (none, error, warn, info, debug, all)
- * @returns {Object} WakeWordDetection instance
- * @throws {Error} If wakeWord is not provided
+ * States of the detector
+ * @enum {string}
  */
-export function createWakeWordDetection(options = {}) {
-  // Validate required options
-  if (!options.wakeWord) {
-    throw new Error("Wake word is required");
+export const DetectorState = {
+  IDLE: "idle",
+  STARTING: "starting",
+  LISTENING: "listening-for-wake-word",
+  AWAITING_COMMAND: "awaiting-command",
+  CAPTURING_COMMAND: "capturing-command",
+  PAUSED: "paused",
+  RESTARTING: "restarting",
+  ERROR: "error",
+};
+
+/**
+ * Valid transitions between detector states
+ */
+const STATE_TRANSITIONS = {
+  [DetectorState.IDLE]: [DetectorState.STARTING, DetectorState.ERROR],
+  [DetectorState.STARTING]: [
+    DetectorState.LISTENING,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.LISTENING]: [
+    DetectorState.AWAITING_COMMAND,
+    DetectorState.CAPTURING_COMMAND,
+    DetectorState.PAUSED,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.AWAITING_COMMAND]: [
+    DetectorState.CAPTURING_COMMAND,
+    DetectorState.LISTENING,
+    DetectorState.PAUSED,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.CAPTURING_COMMAND]: [
+    DetectorState.AWAITING_COMMAND,
+    DetectorState.LISTENING,
+    DetectorState.PAUSED,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.PAUSED]: [
+    DetectorState.STARTING,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.RESTARTING]: [
+    DetectorState.STARTING,
+    DetectorState.IDLE,
+    DetectorState.ERROR,
+  ],
+  [DetectorState.ERROR]: [
+    DetectorState.STARTING,
+    DetectorState.RESTARTING,
+    DetectorState.IDLE,
+  ],
+};
+
+/**
+ * Events that can be subscribed to with `on`, `once` and `off`
+ * @enum {string}
+ */
+export const WakeWordEvent = {
+  STATE_CHANGE: "statechange",
+  WAKE_WORD: "wakeword",
+  TRANSCRIPTION: "transcription",
+  COMMAND: "command",
+  INTENT: "intent",
+  UNMATCHED_COMMAND: "unmatchedcommand",
+  COMMAND_TIMEOUT: "commandtimeout",
+  COMMAND_CANCELLED: "commandcancelled",
+  HOTWORD: "hotword",
+  CONVERSATION_END: "conversationend",
+  ERROR: "error",
+  GIVE_UP: "giveup",
+  PERMISSION_CHANGE: "permissionchange",
+};
+
+/**
+ * States of the microphone permission
+ * @enum {string}
+ */
+export const MicrophonePermission = {
+  GRANTED: "granted",
+  DENIED: "denied",
+  PROMPT: "prompt",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Stable codes of the errors reported by the detector
+ * @enum {string}
+ */
+export const ErrorCode = {
+  NOT_SUPPORTED: "not-supported",
+  PERMISSION_DENIED: "permission-denied",
+  AUDIO_CAPTURE: "audio-capture",
+  NETWORK: "network",
+  ABORTED: "aborted",
+  LANGUAGE_NOT_SUPPORTED: "language-not-supported",
+  RESTART_EXHAUSTED: "restart-exhausted",
+  TIMEOUT: "timeout",
+  CANCELLED: "cancelled",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Error codes the detector cannot recover from without user or developer action
+ */
+const UNRECOVERABLE_ERROR_CODES = [
+  ErrorCode.NOT_SUPPORTED,
+  ErrorCode.PERMISSION_DENIED,
+  ErrorCode.LANGUAGE_NOT_SUPPORTED,
+  ErrorCode.RESTART_EXHAUSTED,
+];
+
+/**
+ * Error codes of the Web Speech API mapped to detector error codes
+ */
+const RECOGNITION_ERROR_CODES = {
+  "not-allowed": ErrorCode.PERMISSION_DENIED,
+  "service-not-allowed": ErrorCode.PERMISSION_DENIED,
+  "audio-capture": ErrorCode.AUDIO_CAPTURE,
+  network: ErrorCode.NETWORK,
+  aborted: ErrorCode.ABORTED,
+  "language-not-supported": ErrorCode.LANGUAGE_NOT_SUPPORTED,
+};
+
+/**
+ * An error reported by the detector
+ */
+export class WakeWordError extends Error {
+  /**
+   * @param {string} code - The error code (see ErrorCode)
+   * @param {string} message - The error message
+   * @param {Object} [options] - Error details
+   * @param {*} [options.cause] - The original error or recognizer error event
+   * @param {string} [options.state] - The detector state when the error occurred
+   * @param {boolean} [options.recoverable] - Whether the detector can recover on its own (defaults by code)
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = "WakeWordError";
+    this.code = code;
+    this.recoverable =
+      typeof options.recoverable === "boolean"
+        ? options.recoverable
+        : !UNRECOVERABLE_ERROR_CODES.includes(code);
+    this.cause = options.cause;
+    this.state = options.state || null;
+  }
+}
+
+/**
+ * Get the browser's media devices API
+ * @returns {Object|null} navigator.mediaDevices, if available
+ */
+function getMediaDevices() {
+  if (typeof navigator === "undefined" || !navigator.mediaDevices) return null;
+  return navigator.mediaDevices;
+}
+
+/**
+ * Query the microphone permission with the Permissions API
+ * @returns {Promise<Object|null>} The permission status, or null if the browser can't tell
+ */
+async function queryMicrophonePermission() {
+  if (typeof navigator === "undefined" || !navigator.permissions) return null;
+
+  try {
+    return await navigator.permissions.query({ name: "microphone" });
+  } catch (error) {
+    // Some browsers don't know the "microphone" permission name
+    return null;
+  }
+}
+
+/**
+ * Strategies for matching wake words against transcripts
+ * @enum {string}
+ */
+export const MatchStrategy = {
+  EXACT: "exact",
+  FUZZY: "fuzzy",
+  PHONETIC: "phonetic",
+};
+
+/**
+ * What started the capture of a command
+ * @enum {string}
+ */
+export const CommandTrigger = {
+  WAKE_WORD: "wake-word",
+  FOLLOW_UP: "follow-up",
+  MANUAL: "manual",
+  PUSH_TO_TALK: "push-to-talk",
+};
+
+/**
+ * How a command capture ended, as recorded in the command history
+ * @enum {string}
+ */
+export const CommandOutcome = {
+  COMMAND: "command",
+  TIMEOUT: "timeout",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Where a wake word may appear in an utterance
+ * @enum {string}
+ */
+export const WakeWordPosition = {
+  PREFIX: "prefix",
+  ANYWHERE: "anywhere",
+};
+
+/**
+ * Lowercase text using the casing rules of a language (e.g., the Turkish dotted and dotless i)
+ * @param {string} text - The text to lowercase
+ * @param {string} [language] - The language code
+ * @returns {string} The lowercased text
+ */
+function lowerCase(text, language) {
+  if (!language) return text.toLowerCase();
+  try {
+    return text.toLocaleLowerCase(language);
+  } catch (error) {
+    // Not a valid language tag
+    return text.toLowerCase();
+  }
+}
+
+/**
+ * Strip accents and other diacritics ("café" becomes "cafe"), keeping the text length
+ * so positions found in the folded text apply to the original
+ * @param {string} text - The text to fold
+ * @returns {string} The folded text
+ */
+function foldDiacritics(text) {
+  return Array.from(text)
+    .map((char) => {
+      const folded = char.normalize("NFD").replace(/\p{M}+/gu, "");
+      return folded.length === char.length ? folded : char;
+    })
+    .join("");
+}
+
+/**
+ * Get the base language of a language code ("de" for "de-DE")
+ * @param {string} language - The language code
+ * @returns {string} The lowercased base language
+ */
+function baseLanguage(language) {
+  return language.split("-")[0].toLowerCase();
+}
+
+/**
+ * Normalize the wake word option into a list of wake word entries
+ * @param {string|Object|Array<string|Object>} wakeWord - A wake word, a wake word definition, or a list of them
+ * @param {string} [language] - The language whose casing rules apply
+ * @returns {Array<{wakeWord: string, aliases: string[], onCommand: (Function|null)}>} The normalized wake word entries
+ */
+function normalizeWakeWords(wakeWord, language) {
+  const entries = Array.isArray(wakeWord) ? wakeWord : [wakeWord];
+
+  return entries
+    .map((entry) => {
+      if (typeof entry === "string") {
+        return {
+          wakeWord: lowerCase(entry, language).trim(),
+          aliases: [],
+          onCommand: null,
+        };
+      }
+      if (entry && typeof entry.wakeWord === "string") {
+        return {
+          wakeWord: lowerCase(entry.wakeWord, language).trim(),
+          aliases: (entry.aliases || [])
+            .map((alias) => lowerCase(String(alias), language).trim())
+            .filter(Boolean),
+          onCommand: entry.onCommand || null,
+        };
+      }
+      return null;
+    })
+    .filter((entry) => entry && entry.wakeWord);
+}
+
+/**
+ * Normalize the language option into a list of candidate languages, the recognition language first
+ * @param {string|string[]} [language] - A language code or a list of candidate language codes
+ * @returns {string[]} The candidate languages
+ * @throws {Error} If a language is not a non-empty string
+ */
+function normalizeLanguages(language = "en-US") {
+  const languages = Array.isArray(language) ? language : [language];
+  if (
+    languages.length === 0 ||
+    !languages.every((code) => typeof code === "string" && code.trim())
+  ) {
+    throw new Error(`Invalid language: ${JSON.stringify(language)}`);
+  }
+
+  return languages
+    .map((code) => code.trim())
+    .filter((code, index, codes) => codes.indexOf(code) === index);
+}
+
+/**
+ * Normalize the language profiles option
+ * @param {Object<string, Object>} [languages] - Profiles (`{ wakeWord, cancelPhrases, fillers }`) by language code
+ * @returns {Object<string, {wakeWords: (Array<Object>|null), cancelPhrases: (string[]|null), fillers: (string[]|null)}>}
+ *   The profiles by lowercased language code
+ * @throws {Error} If a profile, its wake word or its cancel phrases are invalid
+ */
+function normalizeLanguageProfiles(languages = {}) {
+  const profiles = {};
+
+  Object.keys(languages).forEach((code) => {
+    const profile = languages[code];
+    if (!profile || typeof profile !== "object") {
+      throw new Error(`Invalid language profile: ${code}`);
+    }
+
+    let wakeWords = null;
+    if (profile.wakeWord !== undefined) {
+      wakeWords = normalizeWakeWords(profile.wakeWord, code);
+      if (wakeWords.length === 0) {
+        throw new Error(`Invalid wake word for language: ${code}`);
+      }
+    }
+
+    profiles[code.toLowerCase()] = {
+      wakeWords,
+      cancelPhrases: profile.cancelPhrases
+        ? normalizeCancelPhrases(profile.cancelPhrases)
+        : null,
+      fillers: profile.fillers
+        ? profile.fillers.map((filler) =>
+            lowerCase(String(filler), code).trim()
+          )
+        : null,
+    };
+  });
+
+  return profiles;
+}
+
+/**
+ * Find the profile of a language, falling back to the profile of its base language
+ * @param {Object} profiles - The normalized language profiles
+ * @param {string} language - The language code
+ * @returns {Object|null} The profile, or null
+ */
+function findLanguageProfile(profiles, language) {
+  return (
+    profiles[language.toLowerCase()] || profiles[baseLanguage(language)] || null
+  );
+}
+
+/**
+ * Select the wake words of the candidate languages: each language's profile wake words,
+ * or the wake words of the wakeWord option for languages without any
+ * @param {string[]} languages - The candidate languages
+ * @param {Object} profiles - The normalized language profiles
+ * @param {Array<Object>} baseWakeWords - The wake words of the wakeWord option
+ * @returns {Array<Object>} The wake word entries, each tagged with its language
+ */
+function selectWakeWords(languages, profiles, baseWakeWords) {
+  const entries = [];
+  let usesBaseWakeWords = false;
+
+  languages.forEach((language) => {
+    const profile = findLanguageProfile(profiles, language);
+    if (profile && profile.wakeWords) {
+      profile.wakeWords.forEach((entry) =>
+        entries.push({ ...entry, language })
+      );
+    } else if (!usesBaseWakeWords) {
+      usesBaseWakeWords = true;
+      entries.push(...baseWakeWords);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Normalize the matching option
+ * @param {Object} [matching] - Matching options
+ * @returns {{strategy: string, threshold: number}} The normalized matching options
+ * @throws {Error} If the strategy or threshold is invalid
+ */
+function normalizeMatching(matching = {}) {
+  const strategy = matching.strategy || MatchStrategy.EXACT;
+  if (!Object.values(MatchStrategy).includes(strategy)) {
+    throw new Error(`Invalid matching strategy: ${strategy}`);
+  }
+
+  const threshold =
+    matching.threshold === undefined ? 0.75 : Number(matching.threshold);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`Invalid matching threshold: ${matching.threshold}`);
+  }
+
+  return { strategy, threshold };
+}
+
+/**
+ * Normalize the wake word position policy
+ * @param {string|Object} [position] - "prefix", "anywhere" or {maxPrecedingWords}
+ * @returns {{maxPrecedingWords: number}} How many words may precede the wake word
+ * @throws {Error} If the policy is invalid
+ */
+function normalizeWakeWordPosition(position = WakeWordPosition.ANYWHERE) {
+  if (position === WakeWordPosition.ANYWHERE) {
+    return { maxPrecedingWords: Infinity };
+  }
+  if (position === WakeWordPosition.PREFIX) {
+    return { maxPrecedingWords: 0 };
+  }
+
+  const maxPrecedingWords = position ? position.maxPrecedingWords : undefined;
+  if (!(Number.isInteger(maxPrecedingWords) && maxPrecedingWords >= 0)) {
+    throw new Error(`Invalid wakeWordPosition: ${JSON.stringify(position)}`);
+  }
+  return { maxPrecedingWords };
+}
+
+/**
+ * Normalize the end-of-utterance policy
+ * @param {Object} [endOfUtterance] - End-of-utterance options
+ * @returns {{silenceTimeoutMs: number, maxCommandDurationMs: number, mergeFinalSegments: boolean}} The policy
+ * @throws {Error} If a duration is not a positive number
+ */
+function normalizeEndOfUtterance(endOfUtterance = {}) {
+  const policy = {
+    silenceTimeoutMs: 2000,
+    maxCommandDurationMs: 15000,
+    mergeFinalSegments: false,
+    ...endOfUtterance,
+  };
+
+  ["silenceTimeoutMs", "maxCommandDurationMs"].forEach((key) => {
+    if (!(typeof policy[key] === "number" && policy[key] > 0)) {
+      throw new Error(`Invalid endOfUtterance.${key}: ${policy[key]}`);
+    }
+  });
+  policy.mergeFinalSegments = !!policy.mergeFinalSegments;
+
+  return policy;
+}
+
+/**
+ * Normalize the conversation option
+ * @param {boolean|Object} [conversation] - `true` or `{ followUpTimeoutMs }` to enable conversations
+ * @returns {{followUpTimeoutMs: number}|null} The options, or null if conversations are disabled
+ * @throws {Error} If followUpTimeoutMs is not a positive number
+ */
+function normalizeConversation(conversation) {
+  if (!conversation) return null;
+
+  const followUpTimeoutMs =
+    conversation === true || conversation.followUpTimeoutMs === undefined
+      ? 8000
+      : conversation.followUpTimeoutMs;
+  if (!(typeof followUpTimeoutMs === "number" && followUpTimeoutMs > 0)) {
+    throw new Error(
+      `Invalid conversation.followUpTimeoutMs: ${followUpTimeoutMs}`
+    );
+  }
+
+  return { followUpTimeoutMs };
+}
+
+/**
+ * Normalize the early activation option
+ * @param {boolean|Object} [earlyActivation] - `true` or `{ stableResults }` to activate from interim results
+ * @returns {{stableResults: number}|null} The options, or null if early activation is disabled
+ * @throws {Error} If stableResults is not a positive integer
+ */
+function normalizeEarlyActivation(earlyActivation) {
+  if (!earlyActivation) return null;
+
+  const stableResults =
+    earlyActivation === true ? 2 : earlyActivation.stableResults || 2;
+  if (!(Number.isInteger(stableResults) && stableResults > 0)) {
+    throw new Error(`Invalid earlyActivation.stableResults: ${stableResults}`);
+  }
+
+  return { stableResults };
+}
+
+/**
+ * Default resilience policy
+ */
+const DEFAULT_RESILIENCE = {
+  wakeWordCooldownMs: 2000,
+  errorCooldownMs: 1000,
+  maxRestartAttempts: 5,
+  restartDelayMs: 1000,
+  maxRestartDelayMs: 30000,
+  jitter: 0,
+  inactivityTimeoutMs: 30000,
+  quickCommandBufferMs: 1000,
+};
+
+/**
+ * Normalize the resilience policy
+ * @param {Object} [resilience] - Resilience options
+ * @returns {Object} The policy, with every option of DEFAULT_RESILIENCE
+ * @throws {Error} If an option is invalid
+ */
+function normalizeResilience(resilience = {}) {
+  const policy = { ...DEFAULT_RESILIENCE, ...resilience };
+
+  Object.keys(DEFAULT_RESILIENCE).forEach((key) => {
+    if (!(typeof policy[key] === "number" && policy[key] >= 0)) {
+      throw new Error(`Invalid resilience.${key}: ${policy[key]}`);
+    }
+  });
+  if (!Number.isInteger(policy.maxRestartAttempts)) {
+    throw new Error(
+      `Invalid resilience.maxRestartAttempts: ${policy.maxRestartAttempts}`
+    );
+  }
+  if (policy.jitter > 1) {
+    throw new Error(`Invalid resilience.jitter: ${policy.jitter}`);
+  }
+  if (policy.maxRestartDelayMs < policy.restartDelayMs) {
+    throw new Error(
+      `Invalid resilience.maxRestartDelayMs: ${policy.maxRestartDelayMs} is below restartDelayMs`
+    );
+  }
+
+  return policy;
+}
+
+/**
+ * Normalize the minimum confidence option
+ * @param {number|Object} [minConfidence] - A threshold for both wake words and commands, or `{ wakeWord, command }`
+ * @returns {{wakeWord: number, command: number}} The thresholds
+ * @throws {Error} If a threshold is not between 0 and 1
+ */
+function normalizeMinConfidence(minConfidence = 0) {
+  const thresholds =
+    typeof minConfidence === "number"
+      ? { wakeWord: minConfidence, command: minConfidence }
+      : { wakeWord: 0, command: 0, ...minConfidence };
+
+  ["wakeWord", "command"].forEach((key) => {
+    const value = thresholds[key];
+    if (!(typeof value === "number" && value >= 0 && value <= 1)) {
+      throw new Error(`Invalid minConfidence.${key}: ${value}`);
+    }
+  });
+
+  return thresholds;
+}
+
+/**
+ * Phrases that cancel a command in progress by default, by language (English for languages not listed)
+ */
+const DEFAULT_CANCEL_PHRASES = {
+  en: ["cancel", "never mind", "nevermind"],
+  de: ["abbrechen", "vergiss es"],
+  es: ["cancelar", "olvídalo"],
+  fr: ["annuler", "laisse tomber"],
+};
+
+/**
+ * Lowercase a phrase and reduce it to space separated words
+ * @param {string} text - The text to simplify
+ * @returns {string} The simplified text
+ */
+function simplifyPhrase(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}']+/gu, " ")
+    .trim();
+}
+
+/**
+ * Normalize the cancel phrases option
+ * @param {Array<string>} cancelPhrases - Phrases that cancel a command in progress
+ * @returns {Array<string>} The simplified phrases
+ * @throws {Error} If the option is not a list of non-empty strings
+ */
+function normalizeCancelPhrases(cancelPhrases) {
+  if (!Array.isArray(cancelPhrases)) {
+    throw new Error("Invalid cancelPhrases: expected an array of strings");
+  }
+
+  return cancelPhrases.map((phrase) => {
+    const simplified = typeof phrase === "string" ? simplifyPhrase(phrase) : "";
+    if (!simplified) {
+      throw new Error(`Invalid cancel phrase: ${phrase}`);
+    }
+    return simplified;
+  });
+}
+
+/**
+ * Find the cancel phrase a command consists of or ends with
+ * ("never mind", "turn on the lights, never mind")
+ * @param {string} commandText - The command text
+ * @param {Array<string>} cancelPhrases - Simplified cancel phrases
+ * @returns {string|null} The cancel phrase, or null
+ */
+function findCancelPhrase(commandText, cancelPhrases) {
+  const words = simplifyPhrase(commandText);
+  if (!words) return null;
+
+  return (
+    cancelPhrases.find(
+      (phrase) => words === phrase || words.endsWith(` ${phrase}`)
+    ) || null
+  );
+}
+
+/**
+ * Normalize the hotwords option
+ * @param {Array<string|Object>} [hotwords] - Hotword phrases or definitions (`{ phrase, onHotword, wakeWord,
+ *   duringCommand, debounceMs }`)
+ * @returns {Array<{phrase: string, key: string, onHotword: (Function|null), wakeWord: boolean, duringCommand: boolean,
+ *   debounceMs: number}>}
+ *   The hotwords, with their simplified phrase as key
+ * @throws {Error} If a hotword has no phrase, or its handler or debounce is invalid
+ */
+function normalizeHotwords(hotwords = []) {
+  if (!Array.isArray(hotwords)) {
+    throw new Error("Invalid hotwords: expected an array");
+  }
+
+  return hotwords.map((hotword) => {
+    const definition =
+      typeof hotword === "string" ? { phrase: hotword } : hotword || {};
+    const key =
+      typeof definition.phrase === "string"
+        ? simplifyPhrase(definition.phrase)
+        : "";
+    if (!key) {
+      throw new Error(`Invalid hotword: ${definition.phrase}`);
+    }
+    if (definition.onHotword && typeof definition.onHotword !== "function") {
+      throw new Error(`Invalid onHotword for hotword: ${definition.phrase}`);
+    }
+
+    const debounceMs =
+      definition.debounceMs === undefined ? 1000 : definition.debounceMs;
+    if (!(typeof debounceMs === "number" && debounceMs >= 0)) {
+      throw new Error(`Invalid debounceMs for hotword: ${definition.phrase}`);
+    }
+
+    return {
+      phrase: definition.phrase,
+      key,
+      onHotword: definition.onHotword || null,
+      wakeWord: !!definition.wakeWord,
+      duringCommand: !!definition.duringCommand,
+      debounceMs,
+    };
+  });
+}
+
+/**
+ * Get the alternatives of a recognition result, most likely first
+ * @param {Object} event - The result event emitted by the backend
+ * @returns {Array<{transcript: string, confidence: (number|null)}>} The alternatives
+ */
+function normalizeAlternatives(event) {
+  const alternatives =
+    event.alternatives && event.alternatives.length > 0
+      ? event.alternatives
+      : [{ transcript: event.transcript, confidence: event.confidence }];
+
+  return alternatives.map((alternative) => ({
+    transcript: alternative.transcript || "",
+    confidence:
+      typeof alternative.confidence === "number"
+        ? alternative.confidence
+        : null,
+  }));
+}
+
+/**
+ * Check a confidence against a threshold; unknown confidences are accepted
+ * @param {number|null} confidence - The confidence reported by the recognizer
+ * @param {number} threshold - The minimum confidence
+ * @returns {boolean} True if the confidence is high enough
+ */
+function meetsConfidence(confidence, threshold) {
+  return confidence === null || confidence >= threshold;
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The number of single character edits needed to turn a into b
+ */
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Compute a similarity score between two strings based on edit distance
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} A score between 0 (nothing in common) and 1 (identical)
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) return 1;
+  return 1 - levenshteinDistance(a, b) / length;
+}
+
+/**
+ * Encode a word with a simplified Metaphone algorithm, so words that sound
+ * alike ("agora", "a gora") share the same key
+ * @param {string} word - The word to encode
+ * @returns {string} The phonetic key
+ */
+function phoneticKey(word) {
+  let text = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!text) return "";
+
+  // Silent or simplified leading letters
+  if (/^(kn|gn|pn|ae|wr)/.test(text)) text = text.slice(1);
+  if (text[0] === "x") text = `s${text.slice(1)}`;
+  if (text.startsWith("wh")) text = `w${text.slice(2)}`;
+
+  const oneOf = (letter, letters) => letter !== "" && letters.includes(letter);
+  const isVowel = (letter) => oneOf(letter, "aeiou");
+  let key = "";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const prev = text[i - 1] || "";
+    const next = text[i + 1] || "";
+    const nextNext = text[i + 2] || "";
+
+    // Skip duplicate letters, except for "c"
+    if (char === prev && char !== "c") continue;
+
+    switch (char) {
+      case "a":
+      case "e":
+      case "i":
+      case "o":
+      case "u":
+        if (i === 0) key += "A";
+        break;
+      case "b":
+        if (!(prev === "m" && i === text.length - 1)) key += "B";
+        break;
+      case "c":
+        if (next === "i" && nextNext === "a") key += "X";
+        else if (next === "h") key += prev === "s" ? "K" : "X";
+        else if (oneOf(next, "iey")) key += "S";
+        else key += "K";
+        break;
+      case "d":
+        key += next === "g" && oneOf(nextNext, "eiy") ? "J" : "T";
+        break;
+      case "g":
+        if (next === "h" && nextNext && !isVowel(nextNext)) break;
+        if (
+          next === "n" &&
+          (i + 2 === text.length || text.slice(i + 1) === "ned")
+        ) {
+          break;
+        }
+        if (prev === "d" && oneOf(next, "eiy")) break;
+        key += oneOf(next, "eiy") ? "J" : "K";
+        break;
+      case "h":
+        if (oneOf(prev, "cgpst")) break;
+        if (isVowel(prev) && !isVowel(next)) break;
+        key += "H";
+        break;
+      case "k":
+        if (prev !== "c") key += "K";
+        break;
+      case "p":
+        key += next === "h" ? "F" : "P";
+        break;
+      case "q":
+        key += "K";
+        break;
+      case "s":
+        if (next === "h" || (next === "i" && oneOf(nextNext, "oa"))) {
+          key += "X";
+        } else {
+          key += "S";
+        }
+        break;
+      case "t":
+        if (next === "i" && oneOf(nextNext, "oa")) key += "X";
+        else if (next === "h") key += "0";
+        else if (!(next === "c" && nextNext === "h")) key += "T";
+        break;
+      case "v":
+        key += "F";
+        break;
+      case "w":
+      case "y":
+        if (isVowel(next)) key += char.toUpperCase();
+        break;
+      case "x":
+        key += "KS";
+        break;
+      case "z":
+        key += "S";
+        break;
+      default:
+        key += char.toUpperCase();
+    }
+  }
+
+  return key;
+}
+
+/**
+ * Split text into words, keeping the position of each word
+ * @param {string} text - The text to split
+ * @returns {Array<{word: string, start: number, end: number}>} The words and their character offsets
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Remove everything but letters and digits
+ * @param {string} text - The text to compact
+ * @returns {string} The compacted text
+ */
+function compact(text) {
+  return text.replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/**
+ * Values of English number words
+ */
+const NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+
+/**
+ * Multipliers of English number scale words
+ */
+const NUMBER_SCALES = {
+  hundred: 100,
+  thousand: 1000,
+  million: 1000000,
+};
+
+/**
+ * Regular expression source matching a number in digits or words
+ * (e.g., "5", "2.5", "twenty-five", "one hundred and five")
+ */
+const NUMBER_PATTERN = (() => {
+  const word = `(?:${Object.keys(NUMBER_WORDS)
+    .concat(Object.keys(NUMBER_SCALES))
+    .sort((a, b) => b.length - a.length)
+    .join("|")})`;
+  return `\\d+(?:\\.\\d+)?|${word}(?:(?:\\s+|-)(?:and\\s+)?${word})*`;
+})();
+
+/**
+ * Parse a number written in digits or English words
+ * @param {string} text - The text to parse (e.g., "42", "twenty five", "one hundred and five")
+ * @returns {number|null} The parsed number, or null if the text is not a number
+ */
+function parseNumber(text) {
+  const normalizedText = String(text).toLowerCase().trim();
+  if (/^\d+(\.\d+)?$/.test(normalizedText)) return Number(normalizedText);
+
+  const words = normalizedText.split(/[\s-]+/).filter((word) => word !== "and");
+  if (words.length === 0) return null;
+
+  let total = 0;
+  let current = 0;
+
+  for (const word of words) {
+    if (word in NUMBER_WORDS) {
+      current += NUMBER_WORDS[word];
+    } else if (word === "hundred") {
+      current = (current || 1) * 100;
+    } else if (word in NUMBER_SCALES) {
+      total += (current || 1) * NUMBER_SCALES[word];
+      current = 0;
+    } else {
+      return null;
+    }
+  }
+
+  return total + current;
+}
+
+/**
+ * Classify a number word, to tell where one spoken number ends and the next begins
+ * @param {string} word - A lowercased word
+ * @returns {string|null} unit, zero, teen (10-19 and "twenty-five"), tens, hundred, scale, and, or null
+ */
+function numberWordKind(word) {
+  if (word === "and") return "and";
+  if (word === "hundred") return "hundred";
+  if (word in NUMBER_SCALES) return "scale";
+
+  const parts = word.split("-");
+  if (parts.length === 2) {
+    return numberWordKind(parts[0]) === "tens" &&
+      numberWordKind(parts[1]) === "unit"
+      ? "teen"
+      : null;
+  }
+
+  if (!(word in NUMBER_WORDS)) return null;
+  const value = NUMBER_WORDS[word];
+  if (value === 0) return "zero";
+  if (value < 10) return "unit";
+  if (value < 20) return "teen";
+  return "tens";
+}
+
+/**
+ * The kinds of number words that may follow each kind within one number
+ * ("twenty five", "one hundred and five", but not "one two")
+ */
+const NUMBER_WORD_FOLLOWERS = {
+  zero: [],
+  unit: ["hundred", "scale"],
+  teen: ["hundred", "scale"],
+  tens: ["unit", "scale"],
+  hundred: ["unit", "teen", "tens", "and", "scale"],
+  scale: ["unit", "teen", "tens", "and"],
+  and: ["unit", "teen", "tens"],
+};
+
+/**
+ * Replace spelled-out English numbers with digits
+ * ("set a timer for twenty five minutes" becomes "set a timer for 25 minutes")
+ * @param {string} text - The text to convert
+ * @returns {string} The text with digits
+ */
+function convertNumberWords(text) {
+  const output = [];
+  let number = [];
+  let previous = null;
+
+  const flush = () => {
+    // "and" only belongs to a number when another number word follows it
+    const trailing = previous === "and" ? number.pop() : null;
+    if (number.length > 0) output.push(String(parseNumber(number.join(" "))));
+    if (trailing) output.push(trailing);
+    number = [];
+    previous = null;
+  };
+
+  text.split(/\s+/).forEach((word) => {
+    const kind = numberWordKind(word.toLowerCase());
+    if (previous && !NUMBER_WORD_FOLLOWERS[previous].includes(kind)) flush();
+
+    if (kind && (previous || kind !== "and")) {
+      number.push(word);
+      previous = kind;
+    } else {
+      output.push(word);
+    }
+  });
+  flush();
+
+  return output.join(" ");
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the regular expression source for a list of alternative phrases
+ * @param {string[]} phrases - The phrases
+ * @returns {string} A non-capturing group matching any of the phrases
+ */
+function alternativesPattern(phrases) {
+  return `(?:${phrases
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) => phrase.trim().split(/\s+/).map(escapeRegExp).join("\\s+"))
+    .join("|")})`;
+}
+
+/**
+ * Normalize the slot types option into a map of synonyms to canonical values
+ * @param {Object} [slotTypes] - Slot types, each a list of values or a map of values to synonyms
+ * @returns {Object<string, Object<string, string>>} For each slot type, the canonical value of every synonym
+ */
+function normalizeSlotTypes(slotTypes = {}) {
+  const normalized = {};
+
+  Object.keys(slotTypes).forEach((type) => {
+    const definition = slotTypes[type];
+    const values = {};
+
+    if (Array.isArray(definition)) {
+      definition.forEach((value) => {
+        values[String(value).toLowerCase()] = String(value).toLowerCase();
+      });
+    } else {
+      Object.keys(definition || {}).forEach((value) => {
+        const canonical = value.toLowerCase();
+        values[canonical] = canonical;
+        (definition[value] || []).forEach((synonym) => {
+          values[String(synonym).toLowerCase()] = canonical;
+        });
+      });
+    }
+
+    normalized[type] = values;
+  });
+
+  return normalized;
+}
+
+/**
+ * Compile an intent pattern into a regular expression
+ *
+ * Patterns are made of words, `(a|b)` alternatives, `[optional|words]`, and
+ * slots: `{name}` (any text), `{name:number}`, `{name:on|off}` (one of the
+ * listed values), or `{name:type}` (a value of a configured slot type).
+ * @param {string} pattern - The intent pattern (e.g., "turn {state:on|off} [the] {room} lights")
+ * @param {Object<string, Object<string, string>>} slotTypes - The normalized slot types
+ * @returns {{regex: RegExp, slots: Array<{name: string, type: string, values: (Object|null)}>}} The compiled pattern
+ * @throws {Error} If the pattern uses an unknown slot type
+ */
+function compileIntentPattern(pattern, slotTypes) {
+  // Slot names and slot type names keep their case; words and values are matched lowercased
+  const parts = String(pattern).match(
+    /\{[^}]+\}|\[[^\]]+\]|\([^)]+\)|[^\s[\](){}]+/g
+  );
+  const slots = [];
+  let source = "";
+
+  (parts || []).forEach((part, index) => {
+    let partSource;
+    let optional = false;
+
+    if (part[0] === "{") {
+      const [name, type = "text"] = part
+        .slice(1, -1)
+        .split(":")
+        .map((value) => value.trim());
+
+      if (type.toLowerCase() === "text") {
+        partSource = "(.+?)";
+        slots.push({ name, type: "text", values: null });
+      } else if (type.toLowerCase() === "number") {
+        partSource = `(${NUMBER_PATTERN})`;
+        slots.push({ name, type: "number", values: null });
+      } else if (type.includes("|") || slotTypes[type]) {
+        const values = slotTypes[type] || {};
+        if (!slotTypes[type]) {
+          type.split("|").forEach((value) => {
+            const word = value.trim().toLowerCase();
+            values[word] = word;
+          });
+        }
+        partSource = `(${alternativesPattern(Object.keys(values))})`;
+        slots.push({ name, type, values });
+      } else {
+        throw new Error(`Unknown slot type: ${type}`);
+      }
+    } else if (part[0] === "[" || part[0] === "(") {
+      optional = part[0] === "[";
+      partSource = alternativesPattern(
+        part.slice(1, -1).toLowerCase().split("|")
+      );
+    } else {
+      partSource = escapeRegExp(part.toLowerCase());
+    }
+
+    if (index === 0) {
+      source += optional ? `(?:${partSource}\\s+)?` : partSource;
+    } else {
+      source += optional ? `(?:\\s+${partSource})?` : `\\s+${partSource}`;
+    }
+  });
+
+  return { regex: new RegExp(`^${source}$`), slots };
+}
+
+/**
+ * Normalize the intents option, compiling every pattern
+ * @param {Array<Object>} [intents] - Intent definitions (`{ name, patterns }`)
+ * @param {Object<string, Object<string, string>>} slotTypes - The normalized slot types
+ * @returns {Array<{name: string, patterns: Array<Object>}>} The compiled intents
+ * @throws {Error} If an intent has no name or patterns
+ */
+function normalizeIntents(intents = [], slotTypes) {
+  return intents.map((intent) => {
+    const patterns = intent && (intent.patterns || intent.pattern);
+    if (!intent || !intent.name || !patterns || patterns.length === 0) {
+      throw new Error("Intent requires a name and at least one pattern");
+    }
+
+    return {
+      name: intent.name,
+      patterns: (Array.isArray(patterns) ? patterns : [patterns]).map(
+        (pattern) => compileIntentPattern(pattern, slotTypes)
+      ),
+    };
+  });
+}
+
+/**
+ * Find the first intent matching a command
+ * @param {string} commandText - The command text
+ * @param {Array<Object>} intents - The compiled intents
+ * @returns {{name: string, slots: Object}|null} The matched intent and its slot values
+ */
+function matchIntent(commandText, intents) {
+  const text = commandText
+    .toLowerCase()
+    // Keep decimal points ("2.5")
+    .replace(/[.,!?;:]+(?!\d)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  for (const intent of intents) {
+    for (const pattern of intent.patterns) {
+      const match = pattern.regex.exec(text);
+      if (!match) continue;
+
+      const slots = {};
+      pattern.slots.forEach((slot, index) => {
+        const value = match[index + 1];
+        if (value === undefined) return;
+
+        if (slot.type === "number") {
+          slots[slot.name] = parseNumber(value);
+        } else if (slot.values) {
+          slots[slot.name] = slot.values[value.replace(/\s+/g, " ")];
+        } else {
+          slots[slot.name] = value.trim();
+        }
+      });
+
+      return { name: intent.name, slots };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Filler words and phrases stripped from commands by default, by language
+ */
+const DEFAULT_FILLERS = {
+  en: ["um", "uh", "erm", "er", "hmm", "please", "can you", "could you"],
+  de: ["äh", "ähm", "hm", "bitte", "kannst du"],
+  es: ["eh", "este", "por favor", "puedes"],
+  fr: ["euh", "heu", "s'il te plaît", "s'il vous plaît", "peux-tu"],
+};
+
+/**
+ * Normalize the command normalization option
+ * @param {boolean|Object} [normalize] - true for every built-in step, or the steps to apply
+ * @returns {{fillers: (string[]|null), punctuation: boolean, numbers: boolean, transforms: Function[]}|null} The
+ *   pipeline (fillers is null to use the language defaults), or null when commands are delivered as heard
+ * @throws {Error} If the fillers are not strings or a transform is not a function
+ */
+function normalizeNormalization(normalize = false) {
+  if (!normalize) return null;
+
+  const options = normalize === true ? {} : normalize;
+  let fillers = options.fillers === undefined ? true : options.fillers;
+  if (Array.isArray(fillers)) {
+    if (!fillers.every((filler) => typeof filler === "string")) {
+      throw new Error("Invalid normalize.fillers: expected strings");
+    }
+    fillers = fillers.map((filler) => filler.toLowerCase().trim());
+  } else {
+    fillers = fillers ? null : [];
+  }
+
+  const transforms = options.transforms || [];
+  if (
+    !Array.isArray(transforms) ||
+    !transforms.every((transform) => typeof transform === "function")
+  ) {
+    throw new Error("Invalid normalize.transforms: expected functions");
+  }
+
+  return {
+    fillers,
+    punctuation: options.punctuation !== false,
+    numbers: options.numbers !== false,
+    transforms,
+  };
+}
+
+/**
+ * Run a command through the normalization pipeline: punctuation, fillers, numbers, then custom transforms
+ * @param {string} commandText - The command as heard
+ * @param {Object} normalization - The normalized pipeline options
+ * @param {string} language - The language of the command
+ * @param {string[]} fillers - The filler words and phrases of the language
+ * @returns {string} The normalized command
+ */
+function normalizeCommand(commandText, normalization, language, fillers) {
+  let text = commandText;
+
+  if (normalization.punctuation) {
+    // Keep decimal points and times ("2.5", "10:30"), which have a digit on both sides
+    text = text.replace(/[.,:](?!\d)|(?<!\d)[.,:]|[!?;"“”()]+|\s-+\s/g, " ");
+  }
+
+  if (fillers.length > 0) {
+    const pattern = new RegExp(
+      `(?<=^|\\s)${alternativesPattern(fillers)}(?=\\s|$)`,
+      "giu"
+    );
+    text = text.replace(pattern, " ");
+  }
+
+  text = text.replace(/\s+/g, " ").trim();
+  if (normalization.numbers && text) text = convertNumberWords(text);
+
+  return normalization.transforms.reduce(
+    (current, transform) =>
+      String(transform(current, { raw: commandText, language })).trim(),
+    text
+  );
+}
+
+/**
+ * Create a speech recognition backend using the Web Speech API
+ *
+ * A backend is any object implementing `isSupported()`, `start()`, `stop()` and
+ * optionally `setLanguage(language)`. The detector assigns its `onresult`,
+ * `onerror` and `onend` handlers, which the backend calls with
+ * `{ transcript, isFinal, confidence, alternatives }`, `{ error, message }`
+ * and no arguments respectively.
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.language="en-US"] - The language to use for speech recognition
+ * @param {number} [options.maxAlternatives=1] - The maximum number of alternatives per result
+ * @returns {Object} Speech recognition backend
+ */
+export function createWebSpeechBackend(options = {}) {
+  let recognition = null;
+  let language = options.language || "en-US";
+  const maxAlternatives = options.maxAlternatives || 1;
+
+  /**
+   * Get the browser's SpeechRecognition constructor
+   * @returns {Function|undefined} The constructor, if the browser supports speech recognition
+   */
+  function getSpeechRecognition() {
+    if (typeof window === "undefined") return undefined;
+    return window.SpeechRecognition || window.webkitSpeechRecognition;
+  }
+
+  const backend = {
+    onresult: null,
+    onerror: null,
+    onend: null,
+
+    isSupported() {
+      return !!getSpeechRecognition();
+    },
+
+    start() {
+      if (!recognition) {
+        const SpeechRecognition = getSpeechRecognition();
+        if (!SpeechRecognition) {
+          throw new Error("Speech recognition not supported in this browser");
+        }
+
+        // Create and configure the speech recognition instance
+        recognition = new SpeechRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.maxAlternatives = maxAlternatives;
+        recognition.lang = language;
+
+        recognition.onresult = (event) => {
+          const results = Array.from(event.results);
+          const lastResult = results[results.length - 1];
+          const alternatives = Array.from(lastResult).map((alternative) => ({
+            transcript: alternative.transcript,
+            confidence: alternative.confidence,
+          }));
+
+          if (backend.onresult) {
+            backend.onresult({
+              transcript: alternatives[0].transcript,
+              isFinal: lastResult.isFinal,
+              confidence: alternatives[0].confidence,
+              alternatives,
+            });
+          }
+        };
+        recognition.onerror = (event) => {
+          if (backend.onerror) {
+            backend.onerror({ error: event.error, message: event.message });
+          }
+        };
+        recognition.onend = () => {
+          if (backend.onend) backend.onend();
+        };
+      }
+
+      recognition.start();
+    },
+
+    stop() {
+      if (recognition) recognition.stop();
+    },
+
+    setLanguage(newLanguage) {
+      language = newLanguage;
+      if (recognition) recognition.lang = newLanguage;
+    },
+  };
+
+  return backend;
+}
+
+/**
+ * Number of detectors created, used to namespace their logs
+ */
+let instanceCount = 0;
+
+/**
+ * Normalize the logger option into a function receiving log records
+ * @param {Function|Object} [logger] - A function, or an object with error, warn, info and debug methods
+ * @returns {Function|null} The sink, or null to log to the console
+ * @throws {Error} If the logger is neither a function nor an object with level methods
+ */
+function normalizeLogger(logger) {
+  if (!logger) return null;
+  if (typeof logger === "function") return logger;
+
+  const levels = [LogLevel.ERROR, LogLevel.WARN, LogLevel.INFO, LogLevel.DEBUG];
+  if (
+    typeof logger !== "object" ||
+    !levels.some((level) => typeof logger[level] === "function")
+  ) {
+    throw new Error("Invalid logger: expected a function or level methods");
+  }
+
+  return (record) => {
+    if (typeof logger[record.level] === "function") {
+      logger[record.level](record);
+    }
+  };
+}
+
+/**
+ * Version of the JSON Lines session format
+ */
+const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Types of session entries produced by the recognizer, which are replayed
+ */
+const REPLAYED_ENTRY_TYPES = ["result", "error", "end"];
+
+/**
+ * Normalize the session recording option
+ * @param {boolean|Object} [recordSession] - `true` or `{ maxEntries }` to record the session
+ * @returns {{maxEntries: number}|null} The recording options, or null if recording is disabled
+ * @throws {Error} If maxEntries is not a positive number
+ */
+function normalizeSessionRecording(recordSession) {
+  if (!recordSession) return null;
+
+  const maxEntries =
+    recordSession === true ? 5000 : recordSession.maxEntries || 5000;
+  if (!(typeof maxEntries === "number" && maxEntries > 0)) {
+    throw new Error(`Invalid recordSession.maxEntries: ${maxEntries}`);
+  }
+
+  return { maxEntries };
+}
+
+/**
+ * Default phrases that repeat the last command
+ */
+const DEFAULT_REPEAT_PHRASES = [
+  "repeat last command",
+  "repeat that",
+  "do that again",
+];
+
+/**
+ * Name of the IndexedDB database and object store holding persisted command histories
+ */
+const HISTORY_DATABASE = "wake-word-detection";
+const HISTORY_STORE = "history";
+
+/**
+ * Normalize the command history option
+ * @param {boolean|Object} [history] - `true` or `{ maxEntries, storage, key, repeatPhrases }` to keep a history
+ * @returns {{maxEntries: number, storage: (string|Object|null), key: (string|null), repeatPhrases: string[]}|null}
+ *   The history options, or null if the history is disabled
+ * @throws {Error} If an option is invalid
+ */
+function normalizeHistory(history) {
+  if (!history) return null;
+
+  const options = history === true ? {} : history;
+  const maxEntries = options.maxEntries || 50;
+  if (!(typeof maxEntries === "number" && maxEntries > 0)) {
+    throw new Error(`Invalid history.maxEntries: ${maxEntries}`);
+  }
+
+  const storage = options.storage || null;
+  if (
+    storage &&
+    storage !== "localStorage" &&
+    storage !== "indexedDB" &&
+    !(typeof storage.load === "function" && typeof storage.save === "function")
+  ) {
+    throw new Error(`Invalid history.storage: ${storage}`);
+  }
+
+  const repeatPhrases = options.repeatPhrases || DEFAULT_REPEAT_PHRASES;
+  if (!Array.isArray(repeatPhrases)) {
+    throw new Error(
+      "Invalid history.repeatPhrases: expected an array of strings"
+    );
+  }
+
+  // The key must not depend on the instance count, or a reload could read
+  // another detector's history
+  const key = options.key || null;
+  if (storage && !(typeof key === "string" && key.trim())) {
+    throw new Error(`Invalid history.key: ${key} (required with a storage)`);
+  }
+
+  return {
+    maxEntries,
+    storage,
+    key,
+    repeatPhrases: repeatPhrases.map((phrase) => {
+      const simplified =
+        typeof phrase === "string" ? simplifyPhrase(phrase) : "";
+      if (!simplified) {
+        throw new Error(`Invalid repeat phrase: ${phrase}`);
+      }
+      return simplified;
+    }),
+  };
+}
+
+/**
+ * Run a request against the IndexedDB object store holding command histories
+ * @param {string} mode - The transaction mode ("readonly" or "readwrite")
+ * @param {Function} makeRequest - Called with the object store, returns the request to run
+ * @returns {Promise<*>} Resolves with the result of the request
+ */
+function runHistoryRequest(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = window.indexedDB.open(HISTORY_DATABASE, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(HISTORY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const database = open.result;
+      const request = makeRequest(
+        database.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE)
+      );
+      request.onsuccess = () => {
+        database.close();
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        database.close();
+        reject(request.error);
+      };
+    };
+  });
+}
+
+/**
+ * Create the storage persisting a command history
+ * @param {string|Object} storage - "localStorage", "indexedDB" or a `{ load, save }` adapter
+ * @param {string} key - The key the history is stored under
+ * @returns {{load: Function, save: Function}} The storage, whose methods may return promises
+ */
+function createHistoryStorage(storage, key) {
+  if (storage === "localStorage") {
+    return {
+      load() {
+        const stored = window.localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : [];
+      },
+      save(entries) {
+        window.localStorage.setItem(key, JSON.stringify(entries));
+      },
+    };
+  }
+
+  if (storage === "indexedDB") {
+    return {
+      load() {
+        return runHistoryRequest("readonly", (store) => store.get(key)).then(
+          (entries) => entries || []
+        );
+      },
+      save(entries) {
+        return runHistoryRequest("readwrite", (store) =>
+          store.put(entries, key)
+        );
+      },
+    };
+  }
+
+  return {
+    load: () => storage.load(key),
+    save: (entries) => storage.save(key, entries),
+  };
+}
+
+/**
+ * Parse a recorded session
+ * @param {string|Array<Object>} session - JSON Lines exported with exportSession(), or the parsed entries
+ * @returns {Array<Object>} The session entries
+ * @throws {Error} If an entry is invalid or the session format is not supported
+ */
+function parseSession(session) {
+  const entries =
+    typeof session === "string"
+      ? session
+          .split("\n")
+          .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+          .filter(({ line }) => line)
+          .map(({ line, number }) => {
+            try {
+              return JSON.parse(line);
+            } catch (error) {
+              throw new Error(`Invalid session entry on line ${number}`);
+            }
+          })
+      : session;
+
+  if (!Array.isArray(entries)) {
+    throw new Error("Invalid session: expected JSON Lines or an array");
+  }
+
+  entries.forEach((entry, index) => {
+    if (
+      !entry ||
+      typeof entry.type !== "string" ||
+      typeof entry.timestamp !== "number"
+    ) {
+      throw new Error(`Invalid session entry ${index + 1}`);
+    }
+    if (entry.type === "session" && entry.version > SESSION_FORMAT_VERSION) {
+      throw new Error(`Unsupported session version: ${entry.version}`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Create a speech recognition backend that replays a recorded session, feeding the recorded
+ * results, errors and end events back to the detector with their original timing
+ * @param {string|Array<Object>} session - JSON Lines exported with exportSession(), or the parsed entries
+ * @param {Object} [options] - Replay options
+ * @param {number} [options.speed=1] - Playback speed; 2 replays twice as fast
+ * @returns {Object} Speech recognition backend, with a `finished` promise resolved after the last entry;
+ *   stop() plays up to the next recorded end event and pauses the replay, and start() resumes it
+ * @throws {Error} If the session is invalid
+ */
+export function createReplayBackend(session, options = {}) {
+  const entries = parseSession(session);
+  const replayed = entries.filter((entry) =>
+    REPLAYED_ENTRY_TYPES.includes(entry.type)
+  );
+  const speed = options.speed || 1;
+  if (!(typeof speed === "number" && speed > 0)) {
+    throw new Error(`Invalid replay speed: ${speed}`);
+  }
+
+  // Offsets are relative to the first time the recognizer was started
+  const firstStart = entries.find((entry) => entry.type === "start");
+  const origin = firstStart
+    ? firstStart.timestamp
+    : replayed.length > 0
+    ? replayed[0].timestamp
+    : 0;
+  let running = false;
+  let stopAt = null; // Index of the end entry to pause after, while stopping
+  let nextIndex = 0; // Index of the next entry to replay
+  let playedMs = 0; // Replay time played before the last pause
+  let resumedAt = 0; // When the replay clock last started
+  let timers = []; // Pending replay timeouts
+  let resolveFinished;
+
+  /**
+   * Pause the replay, keeping its position for the next start
+   */
+  function pause() {
+    running = false;
+    stopAt = null;
+    playedMs += Date.now() - resumedAt;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers = [];
+  }
+
+  /**
+   * Feed a replayed entry to the detector
+   * @param {Object} entry - The session entry
+   * @param {number} index - The index of the entry in the replayed entries
+   */
+  function replay(entry, index) {
+    nextIndex = index + 1;
+    // Pause before the end event, since the detector may start again from it
+    if (index === stopAt) pause();
+
+    if (entry.type === "result" && backend.onresult) {
+      backend.onresult({
+        transcript: entry.transcript,
+        isFinal: entry.isFinal,
+        confidence: entry.confidence,
+        alternatives: entry.alternatives,
+      });
+    } else if (entry.type === "error" && backend.onerror) {
+      backend.onerror({ error: entry.error, message: entry.message });
+    } else if (entry.type === "end" && backend.onend) {
+      backend.onend();
+    }
+    if (index === replayed.length - 1) resolveFinished();
+  }
+
+  const backend = {
+    onresult: null,
+    onerror: null,
+    onend: null,
+    finished: new Promise((resolve) => {
+      resolveFinished = resolve;
+    }),
+
+    isSupported() {
+      return true;
+    },
+
+    start() {
+      // Started again before the end of the stop was replayed: keep playing
+      stopAt = null;
+      if (running) return;
+      running = true;
+
+      if (replayed.length === 0) {
+        resolveFinished();
+        return;
+      }
+
+      // The recorded end events drive restarts, so a start after a stop resumes
+      // the replay where it was stopped instead of starting over
+      const first = nextIndex;
+      resumedAt = Date.now();
+      timers = replayed.slice(first).map((entry, offset) => {
+        const delay = Math.max(
+          0,
+          (entry.timestamp - origin) / speed - playedMs
+        );
+        return setTimeout(() => replay(entry, first + offset), delay);
+      });
+    },
+
+    stop() {
+      if (!running || stopAt !== null) return;
+
+      // The session contains the end event that followed the recorded stop:
+      // play up to it, then pause until the detector starts again
+      const end = replayed.findIndex(
+        (entry, index) => index >= nextIndex && entry.type === "end"
+      );
+      if (end !== -1) {
+        stopAt = end;
+        return;
+      }
+
+      // Nothing left to end the session, so end it like a recognizer would
+      pause();
+      setTimeout(() => {
+        if (!running && backend.onend) backend.onend();
+      }, 0);
+    },
+  };
+
+  return backend;
+}
+
+/**
+ * Create a hub sharing one speech recognizer between several detectors
+ *
+ * Browsers allow a single active recognition session, so detectors on the same page
+ * each get a virtual backend from the hub instead of their own recognizer. The shared
+ * recognizer runs while at least one virtual backend is started, and its results and
+ * errors are passed to every started virtual backend. Stopping or pausing one detector
+ * leaves the others listening. The language and audio input are shared: setting them on
+ * one detector changes them for all of them.
+ * @param {Object} [options] - Hub options
+ * @param {Object} [options.backend] - The shared speech recognition backend (defaults to the Web Speech API)
+ * @param {number} [options.maxAlternatives=1] - The maximum number of alternatives per result
+ * @returns {Object} The hub, with `createBackend()`, `getActiveCount()` and `isListening()`
+ */
+export function createRecognitionHub(options = {}) {
+  const recognizer =
+    options.backend ||
+    createWebSpeechBackend({ maxAlternatives: options.maxAlternatives });
+  let language = null;
+  let audioInput = null;
+  let recognizerState = "idle"; // idle, running or stopping
+  const started = new Set(); // The virtual backends that are started
+
+  /**
+   * Stop the shared recognizer; it starts again on end if a detector still needs it
+   */
+  function stopRecognizer() {
+    if (recognizerState !== "running") return;
+    recognizerState = "stopping";
+    recognizer.stop();
+  }
+
+  recognizer.onresult = (event) => {
+    Array.from(started).forEach((client) => {
+      if (client.onresult) client.onresult(event);
+    });
+  };
+
+  recognizer.onerror = (event) => {
+    Array.from(started).forEach((client) => {
+      if (client.onerror) client.onerror(event);
+    });
+  };
+
+  recognizer.onend = () => {
+    const requested = recognizerState === "stopping";
+    recognizerState = "idle";
+
+    if (requested) {
+      // Stopped to apply new settings, or started again by a detector while stopping
+      if (started.size > 0) {
+        try {
+          recognizer.start();
+          recognizerState = "running";
+        } catch (error) {
+          // Each detector restarts through its own resilience policy, as after
+          // losing the microphone
+          recognizer.onerror({
+            error: "audio-capture",
+            message: error.message || String(error),
+          });
+        }
+      }
+      return;
+    }
+
+    // The session ended by itself: every detector handles the end, and the first one
+    // to restart starts the shared recognizer again
+    Array.from(started).forEach((client) => {
+      started.delete(client);
+      if (client.onend) client.onend();
+    });
+  };
+
+  /**
+   * Create a virtual backend for one detector
+   * @returns {Object} Speech recognition backend
+   */
+  function createBackend() {
+    const client = {
+      onresult: null,
+      onerror: null,
+      onend: null,
+
+      isSupported() {
+        return recognizer.isSupported();
+      },
+
+      start() {
+        if (started.has(client)) return;
+        if (recognizerState === "idle") {
+          recognizer.start();
+          recognizerState = "running";
+        }
+        started.add(client);
+      },
+
+      stop() {
+        if (!started.delete(client)) return;
+        if (started.size === 0) stopRecognizer();
+
+        // The detector expects an end event after stopping, even while others keep listening
+        setTimeout(() => {
+          if (!started.has(client) && client.onend) client.onend();
+        }, 0);
+      },
+
+      setLanguage(newLanguage) {
+        if (newLanguage === language) return;
+        language = newLanguage;
+        if (typeof recognizer.setLanguage === "function") {
+          recognizer.setLanguage(newLanguage);
+        }
+        stopRecognizer();
+      },
+    };
+
+    if (typeof recognizer.setAudioInput === "function") {
+      client.setAudioInput = (deviceId) => {
+        if (deviceId === audioInput) return;
+        audioInput = deviceId;
+        recognizer.setAudioInput(deviceId);
+        stopRecognizer();
+      };
+    }
+
+    return client;
+  }
+
+  return {
+    createBackend,
+
+    /**
+     * Get the number of detectors listening through the hub
+     * @returns {number} The number of started virtual backends
+     */
+    getActiveCount() {
+      return started.size;
+    },
+
+    /**
+     * Check if the shared recognizer is running
+     * @returns {boolean} True if the shared recognizer is running
+     */
+    isListening() {
+      return recognizerState === "running";
+    },
+  };
+}
+
+/**
+ * Create a new WakeWordDetection instance
+ * @param {Object} options - Configuration options
+ * @param {string|Object|Array<string|Object>} [options.wakeWord] - The wake word to detect (mandatory unless every
+ *   language has a profile wake word or pushToTalk is enabled). Accepts a string, a `{ wakeWord, onCommand }`
+ *   definition, or a list of them to listen for several wake words at once
+ * @param {string|string[]} [options.language="en-US"] - The language to use for speech recognition, or a list of
+ *   candidate languages whose wake words are all listened for (the first one is used for recognition)
+ * @param {Object<string, Object>} [options.languages] - Language profiles (`{ wakeWord, cancelPhrases, fillers }`) by
+ *   language code, applied to the candidate languages and switched by setLanguage()
+ * @param {boolean} [options.foldDiacritics=false] - Ignore accents and other diacritics when matching wake words and
+ *   cancel phrases
+ * @param {Object} [options.backend] - Speech recognition backend (defaults to the Web Speech API, see
+ *   `createWebSpeechBackend`)
+ * @param {number} [options.maxAlternatives=1] - How many recognition alternatives to request; wake words are
+ *   searched in all of them
+ * @param {number|Object} [options.minConfidence=0] - Minimum confidence (0-1) of final results to accept a wake word
+ *   or a command, either one threshold or `{ wakeWord, command }`
+ * @param {Object} [options.matching] - How wake words are matched against transcripts
+ * @param {string} [options.matching.strategy="exact"] - Matching strategy (exact, fuzzy, phonetic)
+ * @param {number} [options.matching.threshold=0.75] - Minimum score (0-1) for fuzzy and phonetic matches
+ * @param {string|Object} [options.wakeWordPosition="anywhere"] - Where the wake word may appear: "prefix",
+ *   "anywhere" or {maxPrecedingWords} to allow up to that many words before it
+ * @param {Function} [options.onWakeWordDetected] - Callback with the matched wake word and match details when it is detected
+ * @param {Function} [options.onTranscription] - Callback with current transcription and
+ *   `{ isFinal, confidence, alternatives }` details
+ * @param {Function} [options.onCommand] - Callback with the extracted command and its details (see CommandDetails
+ *   in the typings), used for wake words that do not define their own `onCommand`
+ * @param {Array<Object>} [options.intents] - Intent definitions (`{ name, patterns }`) matched against commands
+ * @param {boolean|Object} [options.normalize=false] - Normalize commands before they are delivered: true for
+ *   every built-in step, or `{ fillers, punctuation, numbers, transforms }` to choose them
+ * @param {Object} [options.slotTypes] - Custom slot types, each a list of values or a map of values to synonyms
+ * @param {Function} [options.onIntent] - Callback with `{ name, slots, raw }` when a command matches an intent
+ * @param {Array<string|Object>} [options.hotwords] - Phrases (`{ phrase, onHotword, wakeWord, duringCommand,
+ *   debounceMs }`) acted on as soon as an interim result contains them outside of a command; with `wakeWord: true`
+ *   the phrase must directly follow the wake word, and with `duringCommand: true` it also fires inside commands
+ * @param {Function} [options.onHotword] - Callback with `(phrase, details)` for hotwords without their own handler
+ * @param {Function} [options.onUnmatchedCommand] - Callback with commands that match no intent
+ * @param {Function} [options.onStateChange] - Callback with `(from, to, reason)` when the detector state changes
+ * @param {Function} [options.onError] - Callback with a WakeWordError when an error occurs
+ * @param {Function} [options.onCommandTimeout] - Callback when command timeout occurs
+ * @param {boolean|Array<string>} [options.cancelPhrases=false] - Phrases that abort the command in progress when
+ *   the command heard so far consists of or ends with them, or `true` for the built-in phrases of the language
+ *   ("cancel", "never mind", "nevermind" in English)
+ * @param {Function} [options.onCommandCancelled] - Callback with `{ command, phrase, reason, wakeWord }` when a
+ *   command is cancelled
+ * @param {Object} [options.endOfUtterance] - When a command is considered complete
+ * @param {number} [options.endOfUtterance.silenceTimeoutMs=2000] - End the command after this long without new
+ *   results once the user started speaking
+ * @param {number} [options.endOfUtterance.maxCommandDurationMs=15000] - Maximum duration of a command
+ * @param {boolean} [options.endOfUtterance.mergeFinalSegments=false] - Merge final segments until silence instead of
+ *   ending the command on the first final result
+ * @param {boolean|Object} [options.earlyActivation=false] - Activate the wake word from interim results, starting
+ *   the command timer without waiting for the final result
+ * @param {number} [options.earlyActivation.stableResults=2] - Consecutive interim results the wake word must be
+ *   found in at the same position
+ * @param {boolean|Object} [options.conversation] - Enable multi-turn conversations, where command handlers can
+ *   request a follow-up that is captured without repeating the wake word
+ * @param {number} [options.conversation.followUpTimeoutMs=8000] - How long to wait for a follow-up
+ * @param {Function} [options.onConversationEnd] - Callback with `{ context, turns, reason }` when a conversation ends
+ * @param {boolean|Object} [options.recordSession=false] - Record raw recognition events, errors, restarts and state
+ *   transitions for exportSession()
+ * @param {number} [options.recordSession.maxEntries=5000] - Maximum number of entries kept, oldest dropped first
+ * @param {boolean|Object} [options.history=false] - Keep a history of commands, timeouts and cancellations for
+ *   getHistory()
+ * @param {number} [options.history.maxEntries=50] - Maximum number of entries kept, oldest dropped first
+ * @param {string|Object} [options.history.storage] - Persist the history to "localStorage", "indexedDB" or a
+ *   `{ load(key), save(key, entries) }` adapter
+ * @param {string} [options.history.key] - Key the history is persisted under (required with a storage)
+ * @param {Array<string>} [options.history.repeatPhrases] - Commands that repeat the last command (defaults to
+ *   "repeat last command", "repeat that" and "do that again")
+ * @param {Object} [options.resilience] - How the detector recovers from recognizer errors and silence
+ * @param {number} [options.resilience.wakeWordCooldownMs=2000] - Minimum time between two wake word activations
+ * @param {number} [options.resilience.errorCooldownMs=1000] - Minimum time between two handled no-speech errors
+ * @param {number} [options.resilience.maxRestartAttempts=5] - Restart attempts without a result before giving up
+ * @param {number} [options.resilience.restartDelayMs=1000] - Delay before the first restart attempt, doubled on each
+ *   further attempt
+ * @param {number} [options.resilience.maxRestartDelayMs=30000] - Maximum delay between restart attempts
+ * @param {number} [options.resilience.jitter=0] - Fraction (0-1) by which restart delays are randomly shortened
+ * @param {number} [options.resilience.inactivityTimeoutMs=30000] - Restart the recognizer after this long without
+ *   results (0 to disable)
+ * @param {number} [options.resilience.quickCommandBufferMs=1000] - How long a buffered quick command stays valid
+ * @param {string} [options.audioInput] - Device ID of the audio input to use, for backends that support choosing it
+ * @param {Function} [options.onPermissionChange] - Callback with `(permission, previous)` when the microphone
+ *   permission changes
+ * @param {boolean} [options.pushToTalk=false] - Only capture commands between pressStart() and pressEnd(), ignoring
+ *   the wake word
+ * @param {Function} [options.onGiveUp] - Callback with `{ reason, attempts, lastError }` when the detector gives up
+ *   restarting, where lastError is the WakeWordError that caused the last restart
+ * @param {string} [options.logLevel="info"] - Log level (none, error, warn, info, debug, all)
+ * @param {Function|Object} [options.logger] - Log sink receiving `{ level, message, data, timestamp, state,
+ *   namespace }` records, either a function or an object with error, warn, info and debug methods (defaults to the
+ *   console)
+ * @param {string} [options.namespace] - Name of this instance in log records (defaults to "wake-word:<n>")
+ * @returns {Object} WakeWordDetection instance
+ * @throws {Error} If wakeWord is missing or any option is invalid
+ */
+export function createWakeWordDetection(options = {}) {
+  // Validate required options
+  const languages = normalizeLanguages(options.language);
+  const languageProfiles = normalizeLanguageProfiles(options.languages);
+  let baseWakeWords = normalizeWakeWords(options.wakeWord, languages[0]);
+  let addedWakeWords = []; // Wake words added with addWakeWord(), listened for in every language
+  const wakeWords = selectWakeWords(languages, languageProfiles, baseWakeWords);
+  if (wakeWords.length === 0 && !options.pushToTalk) {
+    throw new Error("Wake word is required");
+  }
+  if (
+    options.backend &&
+    !["isSupported", "start", "stop"].every(
+      (method) => typeof options.backend[method] === "function"
+    )
+  ) {
+    throw new Error("Invalid speech recognition backend");
+  }
+
+  const slotTypes = normalizeSlotTypes(options.slotTypes);
+
+  // Default options
+  const config = {
+    wakeWords,
+    matching: normalizeMatching(options.matching),
+    wakeWordPosition: normalizeWakeWordPosition(options.wakeWordPosition),
+    language: languages[0],
+    candidateLanguages: languages,
+    languages: languageProfiles,
+    foldDiacritics: !!options.foldDiacritics,
+    backend: options.backend || null,
+    maxAlternatives: options.maxAlternatives || 1,
+    minConfidence: normalizeMinConfidence(options.minConfidence),
+    onWakeWordDetected: options.onWakeWordDetected || (() => {}),
+    onTranscription: options.onTranscription || (() => {}),
+    onCommand: options.onCommand || (() => {}),
+    intents: normalizeIntents(options.intents, slotTypes),
+    slotTypes,
+    onIntent: options.onIntent || (() => {}),
+    hotwords: normalizeHotwords(options.hotwords),
+    onHotword: options.onHotword || (() => {}),
+    onUnmatchedCommand: options.onUnmatchedCommand || (() => {}),
+    onError: options.onError || (() => {}),
+    onCommandTimeout: options.onCommandTimeout || (() => {}),
+    normalize: normalizeNormalization(options.normalize),
+    cancelPhrases:
+      options.cancelPhrases && options.cancelPhrases !== true
+        ? normalizeCancelPhrases(options.cancelPhrases)
+        : options.cancelPhrases === true || null,
+    onCommandCancelled: options.onCommandCancelled || (() => {}),
+    logLevel: options.logLevel || LogLevel.INFO,
+    logger: normalizeLogger(options.logger),
+    namespace: options.namespace || `wake-word:${++instanceCount}`,
+    commandTimeoutMs: options.commandTimeoutMs || 3000,
+    endOfUtterance: normalizeEndOfUtterance(options.endOfUtterance),
+    earlyActivation: normalizeEarlyActivation(options.earlyActivation),
+    conversation: normalizeConversation(options.conversation),
+    onConversationEnd: options.onConversationEnd || (() => {}),
+    onStateChange: options.onStateChange || (() => {}),
+    sessionRecording: normalizeSessionRecording(options.recordSession),
+    history: normalizeHistory(options.history),
+    resilience: normalizeResilience(options.resilience),
+    onGiveUp: options.onGiveUp || (() => {}),
+    audioInput: options.audioInput || null,
+    onPermissionChange: options.onPermissionChange || (() => {}),
+    pushToTalk: !!options.pushToTalk,
+  };
+
+  // Internal state
+  let recognition = null;
+  let state = DetectorState.IDLE;
+  let lastWakeWordTime = 0;
+  let currentCommand = "";
+  let commandTimeout = null;
+  let fullTranscript = "";
+  let lastErrorTime = 0;
+  let interimTranscript = "";
+  let restartTimeout = null;
+  let isStopping = false; // Track if we're in the process of stopping
+  let pendingRestart = false; // Track if we need to restart after stopping
+  let startRetryTimeout = null; // Retries a start() that came while stopping
+  let recognizerActive = false; // Whether the recognizer was started and has not ended yet
+  let inactivityTimeout = null; // Track inactivity timeout
+  let commandBuffer = ""; // Buffer for quick commands
+  let commandStartTime = 0; // Track when command listening started
+  let lastTranscript = ""; // Store the last transcript for comparison
+  let countdownInterval = null; // Track the countdown interval
+  let silenceTimeout = null; // Ends the command after silence
+  let maxCommandTimeout = null; // Ends the command after the maximum duration
+  let commandSegments = []; // Final segments merged into the current command
+  let activeWakeWord = null; // The wake word match that started the current command
+  let commandTrigger = null; // What started the capture of the current command (see CommandTrigger)
+  let isPressed = false; // Whether a push-to-talk capture is held
+  let captureStartedAt = null; // When the capture of the current command started
+  let wakeWordAnnounced = false; // Whether onWakeWordDetected fired for the current activation
+  let earlyCandidate = null; // The wake word seen in consecutive interim results, with how often it was seen
+  let activationUtterance = false; // Whether the utterance that activated the wake word early is still going on
+  let unwatchStartSignal = null; // Removes the abort listener of the signal passed to start()
+  let conversation = null; // The active multi-turn conversation, if any
+  let lastResult = null; // The most recent recognition result
+  let commandConfidence = null; // Lowest confidence of the final results making up the command
+  let sessionEntries = []; // Recorded session entries, when recording is enabled
+  let sessionStartedAt = Date.now(); // When the recorded session started
+  let historyEntries = []; // Command history entries, when the history is enabled
+  let pendingHistoryLoad = null; // { dirty, cleared } while an asynchronous history load is pending
+  let hotwordUtterance = false; // Whether a hotword fired in the current utterance, whose results are then ignored
+  const hotwordFiredAt = new Map(); // When each hotword last fired, by key
+  const historyStorage =
+    config.history && config.history.storage
+      ? createHistoryStorage(config.history.storage, config.history.key)
+      : null;
+  const listeners = {}; // Event listeners registered with on/once, by event type
+  const MIN_COMMAND_LENGTH = 1; // Allow single-word commands like "Hi" or "Hello"
+  let restartAttempts = 0; // Consecutive restart attempts without a result
+  let restartCount = 0; // Restarts since the detector was started
+  let startedAt = null; // When the detector was started
+  let lastError = null; // The most recent error
+  let lastErrorAt = null; // When the most recent error occurred
+  let lastResultAt = null; // When the most recent result was received
+  let gaveUp = false; // Whether the detector gave up restarting
+  let haltedOnError = false; // Whether the detector stopped on an error for good, with no restart to come
+  let permission = MicrophonePermission.UNKNOWN; // The last known microphone permission
+  let permissionStatus = null; // The Permissions API status being watched for changes
+  let unwatchPermissionStatus = null; // Stops watching permissionStatus
+
+  /**
+   * Logger function that respects the configured log level, writing structured records to the configured
+   * sink or to the console
+   * @param {string} level - The log level (error, warn, info, debug)
+   * @param {string} message - The message to log
+   * @param {any} [data] - Optional data to log
+   */
+  function log(level, message, data) {
+    // Check if we should log based on configured level
+    if (!shouldLogLevel(level, config.logLevel)) return;
+
+    if (config.logger) {
+      const record = {
+        level,
+        message,
+        data,
+        timestamp: Date.now(),
+        state,
+        namespace: config.namespace,
+      };
+      try {
+        config.logger(record);
+      } catch (error) {
+        // A failing sink must not break detection
+        console.error(`[${config.namespace}] Error in logger:`, error);
+      }
+      return;
+    }
+
+    // Map log levels to console methods
+    const logMethods = {
+      error: console.error,
+      warn: console.warn,
+      info: console.info,
+      debug: console.debug,
+    };
+
+    if (logMethods[level]) {
+      const prefixed = `[${config.namespace}] ${message}`;
+      if (data !== undefined) {
+        logMethods[level](prefixed, data);
+      } else {
+        logMethods[level](prefixed);
+      }
+    }
+  }
+
+  /**
+   * Determine if a log level should be displayed based on the configured level
+   * @param {string} level - The log level to check
+   * @param {string} configuredLevel - The configured log level
+   * @returns {boolean} Whether the log should be displayed
+   */
+  function shouldLogLevel(level, configuredLevel) {
+    if (configuredLevel === LogLevel.NONE) return false;
+    if (configuredLevel === LogLevel.ALL) return true;
+
+    const levels = [
+      LogLevel.ERROR,
+      LogLevel.WARN,
+      LogLevel.INFO,
+      LogLevel.DEBUG,
+    ];
+    const configuredIndex = levels.indexOf(configuredLevel);
+    const levelIndex = levels.indexOf(level);
+
+    return levelIndex <= configuredIndex;
+  }
+
+  /**
+   * Get the speech recognition backend, creating the default one if needed
+   * @returns {Object} The speech recognition backend
+   */
+  function getBackend() {
+    if (!config.backend) {
+      config.backend = createWebSpeechBackend({
+        language: config.language,
+        maxAlternatives: config.maxAlternatives,
+      });
+    }
+    return config.backend;
+  }
+
+  /**
+   * Initialize speech recognition
+   */
+  function initializeSpeechRecognition() {
+    try {
+      const backend = getBackend();
+
+      // Check if the backend supports speech recognition
+      if (!backend.isSupported()) {
+        throw createError(
+          ErrorCode.NOT_SUPPORTED,
+          "Error initializing speech recognition: Speech recognition not supported in this browser"
+        );
+      }
+
+      // Configure recognition settings
+      recognition = backend;
+      if (typeof recognition.setLanguage === "function") {
+        recognition.setLanguage(config.language);
+      }
+      if (
+        config.audioInput &&
+        typeof recognition.setAudioInput === "function"
+      ) {
+        recognition.setAudioInput(config.audioInput);
+      }
+
+      // Handle recognition results
+      recognition.onresult = (event) => {
+        // Reset restart attempts on successful result
+        restartAttempts = 0;
+        lastResultAt = Date.now();
+
+        // Hearing anything means the microphone is allowed
+        setPermission(MicrophonePermission.GRANTED);
+
+        // Reset inactivity timeout
+        resetInactivityTimeout();
+
+        const isFinal = !!event.isFinal;
+        const now = Date.now();
+        const alternatives = normalizeAlternatives(event);
+        recordSessionEntry("result", {
+          transcript: alternatives[0].transcript,
+          isFinal,
+          confidence: alternatives[0].confidence,
+          alternatives,
+        });
+
+        // Search every alternative for the wake word, preferring the best match
+        // and then the most likely alternative
+        let wakeWordMatch = null;
+        let selected = alternatives[0];
+        alternatives.forEach((alternative, index) => {
+          // Push-to-talk captures commands without the wake word
+          if (config.pushToTalk) return;
+          if (
+            isFinal &&
+            !meetsConfidence(
+              alternative.confidence,
+              config.minConfidence.wakeWord
+            )
+          ) {
+            log(
+              "debug",
+              `Skipping alternative ${index + 1} with low confidence (${
+                alternative.confidence
+              })`
+            );
+            return;
+          }
+          const match = findWakeWord(foldCase(alternative.transcript));
+          if (match && (!wakeWordMatch || match.score > wakeWordMatch.score)) {
+            wakeWordMatch = match;
+            selected = alternative;
+            if (index > 0) {
+              log("debug", `Wake word found in alternative ${index + 1}`);
+            }
+          }
+        });
+        const containsWakeWord = wakeWordMatch !== null;
+
+        // Once in command mode, the most likely alternative is the command
+        if (isInCommand()) selected = alternatives[0];
+
+        const transcript = selected.transcript;
+        const confidence = selected.confidence;
+        lastResult = { transcript, isFinal, confidence, alternatives };
+
+        // Normalize the transcript
+        const normalizedTranscript = foldCase(transcript);
+
+        log(
+          "debug",
+          `Transcript: "${transcript}" (isFinal: ${isFinal}, confidence: ${confidence})`
+        );
+
+        // Hotwords act on interim results, and the rest of their utterance is ignored
+        if (hotwordUtterance) {
+          if (isFinal) {
+            hotwordUtterance = false;
+            if (state === DetectorState.LISTENING) wakeWordAnnounced = false;
+          }
+          return;
+        }
+        const hotword = matchHotword(normalizedTranscript, wakeWordMatch);
+        if (hotword) {
+          fireHotword(hotword, wakeWordMatch, {
+            transcript,
+            isFinal,
+            confidence,
+          });
+          hotwordUtterance = !isFinal;
+          return;
+        }
+
+        // Trigger wake word detected callback, once per activation
+        if (containsWakeWord && !wakeWordAnnounced) {
+          wakeWordAnnounced = true;
+          const match = describeMatch(wakeWordMatch);
+          config.onWakeWordDetected(match.wakeWord, match);
+          emit(WakeWordEvent.WAKE_WORD, {
+            ...match,
+            transcript,
+            isFinal,
+            confidence,
+            alternatives,
+          });
+        }
+
+        log(
+          "debug",
+          `Contains wake word${
+            containsWakeWord
+              ? ` "${wakeWordMatch.entry.wakeWord}" (score: ${wakeWordMatch.score})`
+              : ""
+          }: ${containsWakeWord}`
+        );
+
+        // Early activation: commit a wake word that stays put across interim results
+        if (config.earlyActivation && state === DetectorState.LISTENING) {
+          if (
+            containsWakeWord &&
+            !isFinal &&
+            isStableWakeWord(wakeWordMatch) &&
+            now - lastWakeWordTime > config.resilience.wakeWordCooldownMs
+          ) {
+            log("info", "New wake word detected in an interim result!");
+            activateWakeWord(wakeWordMatch, now);
+            activationUtterance = true;
+            setState(
+              DetectorState.AWAITING_COMMAND,
+              "wake word detected early"
+            );
+            startCommandListening();
+          } else if (!containsWakeWord || isFinal) {
+            earlyCandidate = null;
+          }
+        }
+
+        // The rest of the utterance that activated the wake word early still contains it
+        let commandTranscript = transcript;
+        if (activationUtterance && isInCommand()) {
+          if (isFinal) activationUtterance = false;
+          if (!wakeWordMatch) {
+            if (isFinal) {
+              log("info", "Wake word not confirmed by the final result");
+              abandonCommand("wake word not confirmed");
+              lastWakeWordTime = 0;
+            }
+            return;
+          }
+
+          activeWakeWord = wakeWordMatch;
+          commandTranscript = normalizedTranscript
+            .slice(wakeWordMatch.end)
+            .trim();
+          // Only the wake word so far: keep waiting, the command timer is running
+          if (!commandTranscript) return;
+        }
+
+        // CASE 1: Wake word detected in a final result
+        if (containsWakeWord && isFinal && state === DetectorState.LISTENING) {
+          // Only process if we're not already handling a command and enough time has passed
+          if (now - lastWakeWordTime > config.resilience.wakeWordCooldownMs) {
+            log("info", "New wake word detected!");
+            activateWakeWord(wakeWordMatch, now);
+
+            // Check if nothing follows the wake word
+            const isOnlyWakeWord =
+              wakeWordMatch.end === normalizedTranscript.length;
+
+            if (isOnlyWakeWord) {
+              // If it's only the wake word (and maybe context before it), wait for the next isFinal event
+              log(
+                "info",
+                "Wake word only detected, waiting for next command..."
+              );
+              setState(DetectorState.AWAITING_COMMAND, "wake word detected");
+              startCommandListening();
+            } else {
+              setState(
+                DetectorState.CAPTURING_COMMAND,
+                "wake word detected with command"
+              );
+
+              // If it contains more than just the wake word, extract the command
+              const commandText = extractCommandText(transcript);
+              recordCommandConfidence(confidence);
+              log("info", `Extracted command: "${commandText}"`);
+
+              if (
+                commandText &&
+                commandText.length >= MIN_COMMAND_LENGTH &&
+                config.endOfUtterance.mergeFinalSegments
+              ) {
+                // Wait for more segments of the same command
+                startCommandListening();
+                appendCommandSegment(commandText);
+              } else if (
+                commandText &&
+                commandText.length >= MIN_COMMAND_LENGTH
+              ) {
+                currentCommand = commandText;
+                interimTranscript = commandText;
+                reportTranscription(commandText);
+
+                // Process the command directly
+                processCommand(commandText);
+              } else {
+                // No valid command, go back to listening for wake word
+                log("info", "No valid command detected after wake word");
+                resetToWakeWordListening();
+              }
+            }
+          }
+        }
+        // CASE 2: We're waiting for the next isFinal event after wake word
+        else if (isInCommand() && isFinal) {
+          log("debug", "Received next isFinal event after wake word");
+          recordCommandConfidence(confidence);
+
+          // Store the transcript
+          fullTranscript = transcript;
+          lastTranscript = transcript;
+
+          // Use this transcript as the command
+          const commandText = commandTranscript.trim();
+
+          if (
+            commandText &&
+            commandText.length >= MIN_COMMAND_LENGTH &&
+            (config.endOfUtterance.mergeFinalSegments || isPressed)
+          ) {
+            // Wait for more segments of the same command
+            appendCommandSegment(commandText);
+          } else if (commandText && commandText.length >= MIN_COMMAND_LENGTH) {
+            log("info", `Command detected: "${commandText}"`);
+            currentCommand = commandText;
+            interimTranscript = commandText;
+            reportTranscription(commandText);
+
+            // Process the command directly instead of calling finalizeCommand
+            processCommand(commandText);
+          } else {
+            // No valid command, go back to listening for wake word
+            log("info", "No valid command detected after wake word");
+            resetToWakeWordListening();
+          }
+        }
+        // CASE 3: We're in command mode and received a new transcript (not final)
+        else if (isInCommand() && !isFinal) {
+          // If we're waiting for a command and the user starts talking, pause the timeout
+          if (state === DetectorState.AWAITING_COMMAND) {
+            log("debug", "User started talking, pausing command timeout");
+            setState(DetectorState.CAPTURING_COMMAND, "speech detected");
+            pauseCommandTimeout();
+          }
+
+          // Update the interim transcript for display
+          interimTranscript = commandTranscript;
+
+          armSilenceTimeout();
+          reportTranscription(pendingCommandText());
+        }
+
+        // The utterance ended without activating the wake word
+        if (isFinal && state === DetectorState.LISTENING) {
+          wakeWordAnnounced = false;
+        }
+      };
+
+      // Handle recognition errors
+      recognition.onerror = (event) => {
+        log("error", "Speech recognition error:", event.error);
+        recordSessionEntry("error", {
+          error: event.error,
+          message: event.message || "",
+        });
+
+        // Handle no-speech errors differently
+        if (event.error === "no-speech") {
+          const now = Date.now();
+          if (now - lastErrorTime < config.resilience.errorCooldownMs) {
+            log("debug", "Ignoring frequent no-speech error");
+            return;
+          }
+          lastErrorTime = now;
+
+          // For no-speech errors, we'll let the onend handler restart it
+          // This is more reliable than treating it as a critical error
+          log("info", "No speech detected, will restart on end");
+          return;
+        }
+
+        const error = createError(
+          RECOGNITION_ERROR_CODES[event.error] || ErrorCode.UNKNOWN,
+          `Error: ${event.error}`,
+          event
+        );
+        reportError(error);
+
+        // Restarting can't help until the user allows the microphone
+        if (error.code === ErrorCode.PERMISSION_DENIED) {
+          log("warn", "Microphone access denied, stopping recognition");
+          setPermission(MicrophonePermission.DENIED);
+          endConversation("stopped");
+          haltedOnError = true;
+          stopRecognition(DetectorState.ERROR, "permission denied");
+          return;
+        }
+
+        // Handle specific errors that require restart
+        if (["audio-capture", "network"].includes(event.error)) {
+          log("info", "Restarting recognition:", event.message);
+          restartRecognition();
+        }
+      };
+
+      // Handle recognition end
+      recognition.onend = () => {
+        log("debug", "Recognition ended");
+        recognizerActive = false;
+        recordSessionEntry("end");
+        hotwordUtterance = false;
+        activationUtterance = false;
+        earlyCandidate = null;
+
+        // If we have a pending restart, start again
+        if (pendingRestart) {
+          log("debug", "Executing pending restart");
+          pendingRestart = false;
+          start();
+        } else if (isRunning()) {
+          // For normal operation, restart after a short delay
+          // This handles both errors and normal end events
+          if (isInCommand()) resetToWakeWordListening();
+          setState(DetectorState.RESTARTING, "recognition ended");
+          noteRestart("recognition ended");
+          setTimeout(() => {
+            if (state === DetectorState.RESTARTING && !pendingRestart) {
+              log("info", "Restarting recognition after end");
+              start();
+            }
+          }, 100);
+        }
+      };
+
+      return true;
+    } catch (error) {
+      log("error", "Error initializing speech recognition:", error);
+      reportError(wrapError(error, "Error initializing speech recognition"));
+      return false;
+    }
+  }
+
+  /**
+   * Reset the inactivity timeout
+   */
+  function resetInactivityTimeout() {
+    // Clear any existing timeout
+    if (inactivityTimeout) {
+      clearTimeout(inactivityTimeout);
+      inactivityTimeout = null;
+    }
+
+    // Set a new timeout, unless inactivity restarts are disabled
+    if (config.resilience.inactivityTimeoutMs === 0) return;
+    inactivityTimeout = setTimeout(() => {
+      if (isRunning()) {
+        log("info", "No activity detected, restarting recognition");
+        restartAfterEnd("inactivity");
+      }
+    }, config.resilience.inactivityTimeoutMs);
+  }
+
+  /**
+   * Compute the delay before the next restart attempt: exponential backoff, capped and
+   * randomly shortened by up to the jitter fraction so that many clients don't retry in lockstep
+   * @returns {number} The delay in milliseconds
+   */
+  function restartDelay() {
+    const { restartDelayMs, maxRestartDelayMs, jitter } = config.resilience;
+    const backoff = Math.min(
+      maxRestartDelayMs,
+      restartDelayMs * Math.pow(2, restartAttempts)
+    );
+    return Math.round(backoff * (1 - jitter * Math.random()));
+  }
+
+  /**
+   * Keep track of a restart for the health status and the session recording
+   * @param {string} reason - Why the recognizer is restarted
+   * @param {Object} [details] - Extra fields for the session recording
+   */
+  function noteRestart(reason, details = {}) {
+    restartCount++;
+    recordSessionEntry("restart", { reason, ...details });
+  }
+
+  /**
+   * Restart speech recognition with exponential backoff
+   */
+  function restartRecognition() {
+    if (restartTimeout) {
+      clearTimeout(restartTimeout);
+    }
+
+    if (restartAttempts >= config.resilience.maxRestartAttempts) {
+      giveUp("max-restart-attempts");
+      return;
+    }
+
+    if (isInCommand()) resetToWakeWordListening();
+    setState(DetectorState.RESTARTING, "recognition error");
+
+    const delay = restartDelay();
+    noteRestart("recognition error", {
+      attempt: restartAttempts + 1,
+      delayMs: delay,
+    });
+    log(
+      "info",
+      `Restarting recognition in ${delay}ms (attempt ${restartAttempts + 1}/${
+        config.resilience.maxRestartAttempts
+      })`
+    );
+
+    restartTimeout = setTimeout(() => {
+      restartTimeout = null;
+      // stop() or giveUp() ended the restart in the meantime
+      if (state !== DetectorState.RESTARTING) return;
+
+      restartAttempts++;
+      if (recognizerActive) {
+        // Recognizers can't start again before they have ended
+        pendingRestart = true;
+        stopRecognition(DetectorState.RESTARTING, "restart attempt");
+      } else {
+        start();
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a scheduled restart attempt
+   */
+  function clearRestart() {
+    if (restartTimeout) {
+      clearTimeout(restartTimeout);
+      restartTimeout = null;
+    }
+  }
+
+  /**
+   * Stop restarting and move to the error state
+   * @param {string} reason - Why the detector gives up
+   */
+  function giveUp(reason) {
+    log("warn", `Giving up restarting recognition (${reason})`);
+    clearRestart();
+    endConversation("stopped");
+    gaveUp = true;
+    haltedOnError = true;
+    stopRecognition(DetectorState.ERROR, "gave up");
+
+    const details = { reason, attempts: restartAttempts, lastError };
+    reportError(
+      createError(
+        ErrorCode.RESTART_EXHAUSTED,
+        `Gave up restarting speech recognition after ${restartAttempts} attempts`,
+        lastError
+      )
+    );
+    config.onGiveUp(details);
+    emit(WakeWordEvent.GIVE_UP, details);
+  }
+
+  /**
+   * Reset to wake word listening mode
+   * @param {Object} [cancellation] - `{ command, phrase, reason }` when the command was cancelled rather than
+   *   timed out
+   */
+  function resetToWakeWordListening(cancellation = null) {
+    log("debug", "Resetting to wake word listening mode");
+    if (isInCommand()) {
+      setState(
+        DetectorState.LISTENING,
+        cancellation ? "command cancelled" : "no command"
+      );
+    }
+    const wakeWord = activeWakeWord ? activeWakeWord.entry.wakeWord : null;
+    activeWakeWord = null;
+
+    // Stop command listening
+    stopCommandListening();
+
+    // Reset state
+    currentCommand = "";
+    fullTranscript = "";
+    interimTranscript = "";
+
+    // Notify that we're returning to wake word listening
+    if (cancellation) {
+      reportCommandCancelled({ ...cancellation, wakeWord });
+    } else {
+      reportCommandTimeout({ wakeWord });
+    }
+
+    // A conversation waiting for a follow-up ends without one
+    endConversation(cancellation ? "cancelled" : "timeout");
+  }
+
+  /**
+   * Start listening for a command after wake word detection
+   * @param {number} [timeoutMs] - How long to wait for the command (defaults to commandTimeoutMs)
+   */
+  function startCommandListening(timeoutMs = config.commandTimeoutMs) {
+    log("debug", "Starting command listening");
+
+    // Clear any existing command timeout
+    if (commandTimeout) {
+      clearTimeout(commandTimeout);
+      commandTimeout = null;
+    }
+
+    // Clear any existing countdown interval
+    if (countdownInterval) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+
+    // Set the command start time
+    commandStartTime = Date.now();
+    log(
+      "debug",
+      `Command listening started at ${commandStartTime}, will timeout after ${timeoutMs}ms`
+    );
+
+    // Start a countdown timer that updates every second
+    let remainingTime = timeoutMs;
+    countdownInterval = setInterval(() => {
+      remainingTime -= 1000;
+      const secondsLeft = Math.ceil(remainingTime / 1000);
+      log("debug", `Waiting for command... ${secondsLeft}s remaining`);
+
+      if (remainingTime <= 0) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+      }
+    }, 1000);
+
+    // Push-to-talk waits for speech, however long, until the press ends
+    if (isPressed) return;
+
+    // End the command once it has gone on for too long
+    if (maxCommandTimeout) clearTimeout(maxCommandTimeout);
+    maxCommandTimeout = setTimeout(() => {
+      maxCommandTimeout = null;
+      endUtterance("maximum command duration");
+    }, config.endOfUtterance.maxCommandDurationMs);
+
+    // Set a single timeout for the full duration
+    commandTimeout = setTimeout(() => {
+      log("debug", `Command timeout triggered after ${timeoutMs}ms`);
+
+      // Clear the countdown interval
+      if (countdownInterval) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+      }
+
+      if (isInCommand()) {
+        log("info", "Command finalized by timeout!");
+        resetToWakeWordListening();
+      }
+    }, timeoutMs);
+  }
+
+  /**
+   * Pause the command timeout when the user starts talking
+   */
+  function pauseCommandTimeout() {
+    log("debug", "Pausing command timeout");
+
+    // Clear the existing timeout
+    if (commandTimeout) {
+      clearTimeout(commandTimeout);
+      commandTimeout = null;
+    }
+
+    // Clear the countdown interval
+    if (countdownInterval) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+
+    // The silence timeout takes over from here, see armSilenceTimeout
+  }
+
+  /**
+   * Restart the silence timer, ending the command if no new results arrive in time
+   */
+  function armSilenceTimeout() {
+    if (silenceTimeout) clearTimeout(silenceTimeout);
+
+    // Push-to-talk commands end when the press ends
+    if (isPressed) return;
+
+    silenceTimeout = setTimeout(() => {
+      silenceTimeout = null;
+      endUtterance("silence");
+    }, config.endOfUtterance.silenceTimeoutMs);
+  }
+
+  /**
+   * Add a final segment to the command being captured
+   * @param {string} segment - The final segment
+   */
+  function appendCommandSegment(segment) {
+    commandSegments.push(segment);
+    interimTranscript = "";
+    currentCommand = pendingCommandText();
+    log("debug", `Command so far: "${currentCommand}"`);
+
+    if (state === DetectorState.AWAITING_COMMAND) {
+      setState(DetectorState.CAPTURING_COMMAND, "speech detected");
+    }
+    pauseCommandTimeout();
+    armSilenceTimeout();
+    reportTranscription(currentCommand);
+  }
+
+  /**
+   * Get the command captured so far, including the latest interim result
+   * @returns {string} The command text
+   */
+  function pendingCommandText() {
+    return commandSegments
+      .concat(interimTranscript)
+      .map((segment) => segment.trim())
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  /**
+   * End the command being captured, processing what was heard so far
+   * @param {string} reason - Why the command ended
+   */
+  function endUtterance(reason) {
+    if (!isInCommand()) return;
+
+    const commandText = pendingCommandText();
+    log("info", `Command ended by ${reason}: "${commandText}"`);
+
+    if (commandText.length >= MIN_COMMAND_LENGTH) {
+      currentCommand = commandText;
+      reportTranscription(commandText);
+      processCommand(commandText);
+    } else {
+      resetToWakeWordListening();
+    }
+  }
+
+  /**
+   * Stop listening for a command
+   */
+  function stopCommandListening() {
+    log("debug", "Stopping command listening");
+    isPressed = false;
+
+    // Clear the command timeout
+    if (commandTimeout) {
+      clearTimeout(commandTimeout);
+      commandTimeout = null;
+    }
+
+    // Clear the countdown interval
+    if (countdownInterval) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+
+    // Clear the end-of-utterance timers
+    if (silenceTimeout) {
+      clearTimeout(silenceTimeout);
+      silenceTimeout = null;
+    }
+    if (maxCommandTimeout) {
+      clearTimeout(maxCommandTimeout);
+      maxCommandTimeout = null;
+    }
+    commandSegments = [];
+    commandConfidence = null;
+  }
+
+  /**
+   * Keep track of the lowest confidence of the final results making up the command
+   * @param {number|null} confidence - The confidence of a final result
+   */
+  function recordCommandConfidence(confidence) {
+    if (confidence === null) return;
+    commandConfidence =
+      commandConfidence === null
+        ? confidence
+        : Math.min(commandConfidence, confidence);
+  }
+
+  /**
+   * Cancel the command in progress if it consists of or ends with a cancel phrase
+   * @param {string} commandText - The command heard so far
+   * @returns {boolean} True if the command was cancelled
+   */
+  function cancelOnPhrase(commandText) {
+    const phrase = findCancelPhrase(
+      matchKey(commandText || ""),
+      cancelPhrasesFor(commandLanguage(activeWakeWord)).map(matchKey)
+    );
+    if (!phrase) return false;
+
+    log("info", `Command cancelled with "${phrase}"`);
+    resetToWakeWordListening({
+      command: commandText,
+      phrase,
+      reason: "phrase",
+    });
+    return true;
+  }
+
+  /**
+   * Process a command
+   * @param {string} commandText - The command text to process
+   */
+  function processCommand(commandText) {
+    if (isInCommand()) {
+      if (cancelOnPhrase(commandText)) return;
+
+      log("debug", "Processing command...");
+      setState(DetectorState.LISTENING, "command captured");
+      const wakeWordMatch = activeWakeWord;
+      const confidence = commandConfidence;
+      activeWakeWord = null;
+
+      // Stop command listening
+      stopCommandListening();
+
+      log("debug", `Command text: "${commandText}"`);
+
+      // Only process if this is a valid command (not empty and meets minimum length)
+      const isValid = commandText && commandText.length >= MIN_COMMAND_LENGTH;
+      if (
+        isValid &&
+        meetsConfidence(confidence, config.minConfidence.command)
+      ) {
+        log("debug", "Calling onCommand callback");
+        dispatchCommand(commandText, wakeWordMatch, confidence);
+      } else if (isValid) {
+        log(
+          "info",
+          `Ignoring command with low confidence (${confidence} < ${config.minConfidence.command})`
+        );
+        reportCommandTimeout({
+          rawCommand: commandText,
+          wakeWord: wakeWordMatch ? wakeWordMatch.entry.wakeWord : null,
+        });
+      } else {
+        // If no valid command was detected, notify that we're returning to wake word listening
+        log("info", `Last transcript: "${lastTranscript}"`);
+        log("info", `Full transcript: "${fullTranscript}"`);
+        log("info", `commandText: "${commandText}"`);
+        log(
+          "info",
+          "No valid command detected, returning to wake word listening ❌"
+        );
+        log("debug", "Calling onCommandTimeout callback");
+        reportCommandTimeout({
+          wakeWord: wakeWordMatch ? wakeWordMatch.entry.wakeWord : null,
+        });
+      }
+
+      // Reset state
+      currentCommand = "";
+      fullTranscript = "";
+      interimTranscript = "";
+    }
+  }
+
+  /**
+   * Finalize the current command
+   */
+  function finalizeCommand() {
+    if (isInCommand()) {
+      log("debug", "Finalizing command...");
+      setState(DetectorState.LISTENING, "command finalized");
+      const wakeWordMatch = activeWakeWord;
+      activeWakeWord = null;
+
+      // Stop command listening
+      stopCommandListening();
+
+      // Get the command text - either from the current command or extract it
+      let finalCommand = currentCommand;
+      if (!finalCommand || finalCommand.length < MIN_COMMAND_LENGTH) {
+        finalCommand = extractCommandText(fullTranscript);
+      }
+
+      log("debug", `Final command text: "${finalCommand}"`);
+
+      // Only process if this is a valid command (not empty and meets minimum length)
+      if (finalCommand && finalCommand.length >= MIN_COMMAND_LENGTH) {
+        log("debug", "Calling onCommand callback");
+        dispatchCommand(finalCommand, wakeWordMatch);
+      } else {
+        // If no valid command was detected, notify that we're returning to wake word listening
+        log("info", `Last transcript: "${lastTranscript}"`);
+        log("info", `Full transcript: "${fullTranscript}"`);
+        log(
+          "info",
+          "No valid command detected, returning to wake word listening ❌"
+        );
+        log("debug", "Calling onCommandTimeout callback");
+        reportCommandTimeout({
+          wakeWord: wakeWordMatch ? wakeWordMatch.entry.wakeWord : null,
+        });
+      }
+
+      // Reset state
+      currentCommand = "";
+      fullTranscript = "";
+      interimTranscript = "";
+    }
+  }
+
+  /**
+   * Move the detector to a new state
+   * @param {string} nextState - The state to move to (see DetectorState)
+   * @param {string} reason - Why the state changes
+   * @returns {boolean} True if the transition is valid
+   */
+  function setState(nextState, reason) {
+    if (nextState === state) return true;
+
+    if (!STATE_TRANSITIONS[state].includes(nextState)) {
+      log("warn", `Invalid state transition: ${state} -> ${nextState}`, reason);
+      return false;
+    }
+
+    const previousState = state;
+    state = nextState;
+    // The next wake word starts a new activation
+    if (nextState === DetectorState.LISTENING) wakeWordAnnounced = false;
+    log("debug", `State: ${previousState} -> ${nextState} (${reason})`);
+    recordSessionEntry("state", {
+      from: previousState,
+      to: nextState,
+      reason,
+    });
+
+    config.onStateChange(previousState, nextState, reason);
+    emit(WakeWordEvent.STATE_CHANGE, {
+      from: previousState,
+      to: nextState,
+      reason,
+    });
+    return true;
+  }
+
+  /**
+   * Record an entry of the session, when session recording is enabled
+   * @param {string} type - The entry type (start, result, error, end, restart, state)
+   * @param {Object} [data] - Entry fields
+   */
+  function recordSessionEntry(type, data = {}) {
+    if (!config.sessionRecording) return;
+
+    sessionEntries.push({ type, timestamp: Date.now(), ...data });
+    if (sessionEntries.length > config.sessionRecording.maxEntries) {
+      sessionEntries.shift();
+    }
+  }
+
+  /**
+   * Export the recorded session as JSON Lines: a header line followed by one entry per line
+   * @returns {string} The session, to replay with createReplayBackend()
+   * @throws {Error} If session recording is not enabled
+   */
+  function exportSession() {
+    if (!config.sessionRecording) {
+      throw new Error("Session recording is not enabled (see recordSession)");
+    }
+
+    const header = {
+      type: "session",
+      version: SESSION_FORMAT_VERSION,
+      timestamp: sessionStartedAt,
+      language: config.language,
+      wakeWords: config.wakeWords.map((entry) => entry.wakeWord),
+    };
+    return (
+      [header]
+        .concat(sessionEntries)
+        .map((entry) => JSON.stringify(entry))
+        .join("\n") + "\n"
+    );
+  }
+
+  /**
+   * Add an entry to the command history, when the history is enabled
+   * @param {string} outcome - How the capture ended (see CommandOutcome)
+   * @param {Object} fields - `{ command, rawCommand, wakeWord }`
+   */
+  function recordHistoryEntry(outcome, fields) {
+    if (!config.history) return;
+
+    historyEntries.push({
+      outcome,
+      command: fields.command || "",
+      rawCommand: fields.rawCommand || "",
+      transcript: lastResult ? lastResult.transcript : "",
+      wakeWord: fields.wakeWord || null,
+      trigger: commandTrigger,
+      startedAt: captureStartedAt,
+      timestamp: Date.now(),
+    });
+    if (historyEntries.length > config.history.maxEntries) {
+      historyEntries.shift();
+    }
+    saveHistory();
+  }
+
+  /**
+   * Find the command to repeat when a command is a repeat phrase
+   * @param {string} rawCommand - The command text as heard
+   * @returns {Object|null} The history entry of the last command, or null
+   */
+  function findRepeatedCommand(rawCommand) {
+    if (!config.history) return null;
+
+    const words = matchKey(simplifyPhrase(rawCommand));
+    if (!config.history.repeatPhrases.map(matchKey).includes(words)) {
+      return null;
+    }
+
+    for (let i = historyEntries.length - 1; i >= 0; i--) {
+      if (historyEntries[i].outcome === CommandOutcome.COMMAND) {
+        return historyEntries[i];
+      }
+    }
+    log("info", "Nothing to repeat yet");
+    return null;
+  }
+
+  /**
+   * Load the persisted command history, keeping entries recorded in the meantime
+   */
+  function loadHistory() {
+    if (!historyStorage) return;
+
+    const merge = (entries) => {
+      if (!Array.isArray(entries)) return;
+      historyEntries = entries
+        .concat(historyEntries)
+        .slice(-config.history.maxEntries);
+      log("debug", `Loaded ${entries.length} history entries`);
+    };
+    const fail = (error) => log("warn", "Failed to load the history", error);
+
+    try {
+      const loaded = historyStorage.load();
+      if (loaded && typeof loaded.then === "function") {
+        // Hold back saves until the load settles, so they cannot overwrite
+        // the persisted history with the entries recorded in the meantime
+        const pending = { dirty: false, cleared: false };
+        pendingHistoryLoad = pending;
+        const settle = () => {
+          pendingHistoryLoad = null;
+          if (pending.dirty) saveHistory();
+        };
+        loaded
+          .then((entries) => {
+            if (!pending.cleared) merge(entries);
+          }, fail)
+          .then(settle);
+      } else {
+        merge(loaded);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  /**
+   * Persist the command history, when a storage is configured
+   */
+  function saveHistory() {
+    if (!historyStorage) return;
+    if (pendingHistoryLoad) {
+      pendingHistoryLoad.dirty = true;
+      return;
+    }
+
+    const fail = (error) => log("warn", "Failed to save the history", error);
+    try {
+      const saved = historyStorage.save(historyEntries.slice());
+      if (saved && typeof saved.then === "function") saved.catch(fail);
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  /**
+   * Get the command history, oldest entry first
+   * @returns {Array<Object>} Copies of the history entries
+   * @throws {Error} If the history is not enabled
+   */
+  function getHistory() {
+    if (!config.history) {
+      throw new Error("Command history is not enabled (see history)");
+    }
+    return historyEntries.map((entry) => ({ ...entry }));
   }
 
-  // Default options
-  const config = {
-    wakeWord: options.wakeWord.toLowerCase(),
-    language: options.language || "en-US",
-    onWakeWordDetected: options.onWakeWordDetected || (() => {}),
-    onTranscription: options.onTranscription || (() => {}),
-    onCommand: options.onCommand || (() => {}),
-    onError: options.onError || (() => {}),
-    onCommandTimeout: options.onCommandTimeout || (() => {}),
-    logLevel: options.logLevel || LogLevel.INFO,
-    commandTimeoutMs: options.commandTimeoutMs || 3000,
-  };
+  /**
+   * Forget the command history, including the persisted one
+   */
+  function clearHistory() {
+    historyEntries = [];
+    if (pendingHistoryLoad) pendingHistoryLoad.cleared = true;
+    saveHistory();
+  }
 
-  // Internal state
-  let recognition = null;
-  let isListening = false;
-  let isPaused = false;
-  let lastWakeWordTime = 0;
-  let currentCommand = "";
-  let isCommandComplete = false;
-  let wakeWordDetected = false;
-  let commandTimeout = null;
-  let fullTranscript = "";
-  let lastErrorTime = 0;
-  let isProcessingCommand = false;
-  let interimTranscript = "";
-  let restartTimeout = null;
-  let isStopping = false; // Track if we're in the process of stopping
-  let pendingRestart = false; // Track if we need to restart after stopping
-  let inactivityTimeout = null; // Track inactivity timeout
-  let commandBuffer = ""; // Buffer for quick commands
-  let commandStartTime = 0; // Track when command listening started
-  let commandMode = false; // Explicitly track if we're in command mode
-  let lastTranscript = ""; // Store the last transcript for comparison
-  let countdownInterval = null; // Track the countdown interval
-  let waitingForNextFinal = false; // Track if we're waiting for the next isFinal event
-  const WAKE_WORD_COOLDOWN_MS = 2000;
-  const ERROR_COOLDOWN_MS = 1000;
-  const MIN_COMMAND_LENGTH = 1; // Allow single-word commands like "Hi" or "Hello"
-  const MAX_RESTART_ATTEMPTS = 5;
-  const RESTART_DELAY_MS = 1000;
-  const INACTIVITY_TIMEOUT_MS = 30000; // 30 seconds of inactivity before auto-restart
-  const QUICK_COMMAND_BUFFER_MS = 1000; // Buffer time for quick commands
-  let restartAttempts = 0;
+  /**
+   * Forget the recorded session and start a new one
+   */
+  function clearSession() {
+    sessionEntries = [];
+    sessionStartedAt = Date.now();
+  }
 
   /**
-   * Logger function that respects the configured log level
-   * @param {string} level - The log level (error, warn, info, debug)
-   * @param {string} message - The message to log
-   * @param {any} [data] - Optional data to log
+   * Get the current state of the detector
+   * @returns {string} The current state (see DetectorState)
    */
-  function log(level, message, data) {
-    // Map log levels to console methods
-    const logMethods = {
-      error: console.error,
-      warn: console.warn,
-      info: console.info,
-      debug: console.debug,
-    };
+  function getState() {
+    return state;
+  }
 
-    // Check if we should log based on configured level
-    const shouldLog = shouldLogLevel(level, config.logLevel);
+  /**
+   * Check if the recognizer is running (listening for the wake word or a command)
+   * @returns {boolean} True if the recognizer is running
+   */
+  function isRunning() {
+    return (
+      state === DetectorState.LISTENING ||
+      state === DetectorState.AWAITING_COMMAND ||
+      state === DetectorState.CAPTURING_COMMAND
+    );
+  }
 
-    if (shouldLog && logMethods[level]) {
-      if (data !== undefined) {
-        logMethods[level](message, data);
-      } else {
-        logMethods[level](message);
+  /**
+   * Check if a wake word was heard and a command is being waited for or captured
+   * @returns {boolean} True if a command is in progress
+   */
+  function isInCommand() {
+    return (
+      state === DetectorState.AWAITING_COMMAND ||
+      state === DetectorState.CAPTURING_COMMAND
+    );
+  }
+
+  /**
+   * Notify event listeners
+   * @param {string} type - The event type
+   * @param {Object} [payload] - Event specific data
+   */
+  function emit(type, payload = {}) {
+    const handlers = listeners[type];
+    if (!handlers || handlers.length === 0) return;
+
+    const event = {
+      type,
+      timestamp: Date.now(),
+      state,
+      ...payload,
+    };
+
+    // Copy the list so handlers can unsubscribe while being called
+    handlers.slice().forEach((handler) => {
+      try {
+        handler(event);
+      } catch (error) {
+        log("error", `Error in "${type}" event handler:`, error);
       }
+    });
+  }
+
+  /**
+   * Report the current transcription
+   * @param {string} text - The transcription
+   */
+  function reportTranscription(text) {
+    const details = {
+      isFinal: lastResult ? lastResult.isFinal : false,
+      confidence: lastResult ? lastResult.confidence : null,
+      alternatives: lastResult ? lastResult.alternatives : [],
+    };
+    config.onTranscription(text, details);
+    emit(WakeWordEvent.TRANSCRIPTION, {
+      ...details,
+      transcript: text,
+      wakeWord: activeWakeWord ? activeWakeWord.entry.wakeWord : null,
+    });
+  }
+
+  /**
+   * Report an error
+   * @param {WakeWordError} error - The error
+   */
+  function reportError(error) {
+    lastError = error;
+    lastErrorAt = Date.now();
+    config.onError(error);
+    emit(WakeWordEvent.ERROR, {
+      error,
+      code: error.code,
+      message: error.message,
+      recoverable: error.recoverable,
+    });
+  }
+
+  /**
+   * Create an error recording the current state
+   * @param {string} code - The error code (see ErrorCode)
+   * @param {string} message - The error message
+   * @param {*} [cause] - The original error or recognizer error event
+   * @returns {WakeWordError} The error
+   */
+  function createError(code, message, cause) {
+    return new WakeWordError(code, message, { cause, state });
+  }
+
+  /**
+   * Wrap an unexpected error, keeping errors created by the detector as they are
+   * @param {Error} error - The error
+   * @param {string} context - What the detector was doing
+   * @returns {WakeWordError} The error
+   */
+  function wrapError(error, context) {
+    if (error instanceof WakeWordError) return error;
+    return createError(
+      ErrorCode.UNKNOWN,
+      `${context}: ${error.message}`,
+      error
+    );
+  }
+
+  /**
+   * Report that we're returning to wake word listening without a command
+   * @param {Object} [context] - `{ rawCommand, wakeWord }` recorded in the history
+   */
+  function reportCommandTimeout(context = {}) {
+    recordHistoryEntry(CommandOutcome.TIMEOUT, context);
+    config.onCommandTimeout();
+    emit(WakeWordEvent.COMMAND_TIMEOUT);
+  }
+
+  /**
+   * Notify that a command was cancelled
+   * @param {Object} details - `{ command, phrase, reason, wakeWord }`
+   */
+  function reportCommandCancelled(details) {
+    recordHistoryEntry(CommandOutcome.CANCELLED, {
+      rawCommand: details.command || "",
+      wakeWord: details.wakeWord,
+    });
+    config.onCommandCancelled(details);
+    emit(WakeWordEvent.COMMAND_CANCELLED, details);
+  }
+
+  /**
+   * Start command capture after the wake word
+   * @param {Object} wakeWordMatch - The wake word match
+   * @param {number} now - The time of the result
+   */
+  function activateWakeWord(wakeWordMatch, now) {
+    lastWakeWordTime = now;
+    activeWakeWord = wakeWordMatch;
+    commandTrigger = CommandTrigger.WAKE_WORD;
+    captureStartedAt = now;
+    commandConfidence = null;
+    earlyCandidate = null;
+  }
+
+  /**
+   * Check whether a wake word found in an interim result was found at the same position
+   * in enough consecutive interim results to activate it early
+   * @param {Object} wakeWordMatch - The wake word match in the interim result
+   * @returns {boolean} True if the wake word is stable
+   */
+  function isStableWakeWord(wakeWordMatch) {
+    if (
+      earlyCandidate &&
+      earlyCandidate.entry === wakeWordMatch.entry &&
+      earlyCandidate.index === wakeWordMatch.index
+    ) {
+      earlyCandidate.count++;
+    } else {
+      earlyCandidate = {
+        entry: wakeWordMatch.entry,
+        index: wakeWordMatch.index,
+        count: 1,
+      };
     }
+    return earlyCandidate.count >= config.earlyActivation.stableResults;
   }
 
   /**
-   * Determine if a log level should be displayed based on the configured level
-   * @param {string} level - The log level to check
-   * @param {string} configuredLevel - The configured log level
-   * @returns {boolean} Whether the log should be displayed
+   * Drop the command in progress and return to wake word listening, without reporting a timeout
+   * @param {string} reason - Why the command was dropped
    */
-  function shouldLogLevel(level, configuredLevel) {
-    if (configuredLevel === LogLevel.NONE) return false;
-    if (configuredLevel === LogLevel.ALL) return true;
+  function abandonCommand(reason) {
+    setState(DetectorState.LISTENING, reason);
+    activeWakeWord = null;
+    stopCommandListening();
+    currentCommand = "";
+    fullTranscript = "";
+    interimTranscript = "";
+  }
 
-    const levels = [
-      LogLevel.ERROR,
-      LogLevel.WARN,
-      LogLevel.INFO,
-      LogLevel.DEBUG,
-    ];
-    const configuredIndex = levels.indexOf(configuredLevel);
-    const levelIndex = levels.indexOf(level);
+  /**
+   * Find the hotword spoken in a result, skipping hotwords that fired within their debounce time
+   * @param {string} normalizedTranscript - The lowercased transcript
+   * @param {Object|null} wakeWordMatch - The wake word match in the transcript
+   * @returns {Object|null} The hotword, or null
+   */
+  function matchHotword(normalizedTranscript, wakeWordMatch) {
+    if (config.hotwords.length === 0) return null;
+    if (state !== DetectorState.LISTENING && !isInCommand()) return null;
 
-    return levelIndex <= configuredIndex;
+    const words = matchKey(simplifyPhrase(normalizedTranscript));
+    // The words before the wake word, where other hotwords can't be part of a command
+    const precedingWords = wakeWordMatch
+      ? matchKey(
+          simplifyPhrase(normalizedTranscript.slice(0, wakeWordMatch.index))
+        )
+      : words;
+    // The words following the wake word, in the same utterance or after it
+    let commandWords = null;
+    if (wakeWordMatch) {
+      commandWords = matchKey(
+        simplifyPhrase(normalizedTranscript.slice(wakeWordMatch.end))
+      );
+    } else if (isInCommand() && activeWakeWord) {
+      commandWords = words;
+    }
+
+    const now = Date.now();
+    return (
+      config.hotwords.find((hotword) => {
+        const key = matchKey(hotword.key);
+        let searched = isInCommand() ? null : precedingWords;
+        if (hotword.duringCommand) searched = words;
+        const spoken = hotword.wakeWord
+          ? commandWords === key
+          : searched !== null && ` ${searched} `.includes(` ${key} `);
+        const debounced =
+          hotwordFiredAt.has(hotword.key) &&
+          now - hotwordFiredAt.get(hotword.key) < hotword.debounceMs;
+        return spoken && !debounced;
+      }) || null
+    );
   }
 
   /**
-   * Initialize speech recognition
+   * Act on a hotword, dropping the command in progress
+   * @param {Object} hotword - The normalized hotword
+   * @param {Object|null} wakeWordMatch - The wake word match in the result
+   * @param {Object} result - `{ transcript, isFinal, confidence }` of the result
    */
-  function initializeSpeechRecognition() {
+  function fireHotword(hotword, wakeWordMatch, result) {
+    log("info", `Hotword detected: "${hotword.phrase}"`);
+    hotwordFiredAt.set(hotword.key, Date.now());
+    const match = wakeWordMatch || activeWakeWord;
+
+    if (isInCommand()) {
+      abandonCommand("hotword detected");
+      endConversation("ended");
+    }
+
+    const details = {
+      wakeWord: match ? match.entry.wakeWord : null,
+      ...result,
+    };
+    (hotword.onHotword || config.onHotword)(hotword.phrase, details);
+    emit(WakeWordEvent.HOTWORD, { ...details, hotword: hotword.phrase });
+  }
+
+  /**
+   * Route a command to the handler of the wake word that triggered it,
+   * falling back to the global onCommand callback
+   * @param {string} rawCommand - The command text as heard
+   * @param {Object|null} wakeWordMatch - The wake word match that started the command
+   * @param {number|null} [confidence] - The confidence of the command
+   */
+  function dispatchCommand(rawCommand, wakeWordMatch, confidence = null) {
+    const repeated = findRepeatedCommand(rawCommand);
+    if (repeated) {
+      log("info", `Repeating the last command "${repeated.rawCommand}"`);
+      rawCommand = repeated.rawCommand;
+    }
+
+    const language = commandLanguage(wakeWordMatch);
+    const commandText = config.normalize
+      ? normalizeCommand(
+          rawCommand,
+          config.normalize,
+          language,
+          fillersFor(language)
+        )
+      : rawCommand;
+    if (!commandText) {
+      log("info", `Command "${rawCommand}" is empty after normalization`);
+      reportCommandTimeout({
+        rawCommand,
+        wakeWord: wakeWordMatch ? wakeWordMatch.entry.wakeWord : null,
+      });
+      // A follow-up that turned out empty ends the conversation, like one that timed out
+      endConversation("timeout");
+      return;
+    }
+
+    // A repeated command goes back to the wake word that heard it first
+    const entry = repeated
+      ? config.wakeWords.find((item) => item.wakeWord === repeated.wakeWord)
+      : wakeWordMatch && wakeWordMatch.entry;
+    const handler = (entry && entry.onCommand) || config.onCommand;
+    const details = {
+      rawCommand,
+      wakeWord: entry ? entry.wakeWord : null,
+      score: wakeWordMatch ? wakeWordMatch.score : null,
+      precedingText: wakeWordMatch ? wakeWordMatch.precedingText : "",
+      language,
+      trigger: commandTrigger,
+      repeated: !!repeated,
+      confidence,
+      alternatives: lastResult ? lastResult.alternatives : [],
+    };
+    const turn = config.conversation
+      ? beginConversationTurn(wakeWordMatch)
+      : null;
+    if (turn) details.conversation = turn.api;
+
+    recordHistoryEntry(CommandOutcome.COMMAND, {
+      command: commandText,
+      rawCommand,
+      wakeWord: details.wakeWord,
+    });
+    let result;
     try {
-      // Check if browser supports speech recognition
-      if (
-        !("webkitSpeechRecognition" in window) &&
-        !("SpeechRecognition" in window)
-      ) {
-        throw new Error("Speech recognition not supported in this browser");
+      // Like event listeners, a throwing handler must not break the detector
+      try {
+        result = handler(commandText, details);
+      } catch (error) {
+        log("error", "Error in onCommand handler:", error);
+        reportError(wrapError(error, "Error in onCommand handler"));
       }
+      emit(WakeWordEvent.COMMAND, {
+        ...details,
+        command: commandText,
+        transcript: lastResult ? lastResult.transcript : commandText,
+      });
 
-      // Create speech recognition instance
-      const SpeechRecognition =
-        window.SpeechRecognition || window.webkitSpeechRecognition;
-      recognition = new SpeechRecognition();
+      // Resolve the command against the registered intents
+      if (config.intents.length > 0) {
+        const intent = matchIntent(commandText, config.intents);
+        if (intent) {
+          log("debug", `Command matched intent "${intent.name}"`, intent.slots);
+          const intentMatch = { ...intent, raw: commandText };
+          config.onIntent(intentMatch, details);
+          emit(WakeWordEvent.INTENT, { ...details, intent: intentMatch });
+        } else {
+          log("debug", "Command did not match any intent");
+          config.onUnmatchedCommand(commandText, details);
+          emit(WakeWordEvent.UNMATCHED_COMMAND, {
+            ...details,
+            command: commandText,
+          });
+        }
+      }
+    } finally {
+      // Let async handlers request a follow-up before deciding what comes next;
+      // an intent handler that throws still settles its turn
+      if (turn) {
+        if (result && typeof result.then === "function") {
+          const settle = () => settleConversationTurn(turn);
+          result.then(settle, settle);
+        } else {
+          settleConversationTurn(turn);
+        }
+      }
+    }
+  }
 
-      // Configure recognition settings
-      recognition.continuous = true;
-      recognition.interimResults = true;
-      recognition.lang = config.language;
+  /**
+   * Start a new turn of the active conversation, starting a conversation if needed
+   * @param {Object|null} wakeWordMatch - The wake word match that started the conversation
+   * @returns {Object} The turn, with the conversation API exposed to the command handler
+   */
+  function beginConversationTurn(wakeWordMatch) {
+    if (!conversation) {
+      conversation = { context: {}, turns: 0, wakeWordMatch };
+      log("debug", "Conversation started");
+    }
+    conversation.turns++;
 
-      // Handle recognition results
-      recognition.onresult = (event) => {
-        // Reset restart attempts on successful result
-        restartAttempts = 0;
+    const turn = {
+      conversation,
+      followUpRequested: false,
+      api: {
+        context: conversation.context,
+        turn: conversation.turns,
+        followUp: () => {
+          turn.followUpRequested = true;
+        },
+        end: () => {
+          if (conversation === turn.conversation) endConversation("ended");
+        },
+      },
+    };
+    return turn;
+  }
 
-        // Reset inactivity timeout
-        resetInactivityTimeout();
+  /**
+   * Listen for a follow-up if the handler requested one, otherwise end the conversation
+   * @param {Object} turn - The settled conversation turn
+   */
+  function settleConversationTurn(turn) {
+    // The conversation was ended or replaced in the meantime
+    if (conversation !== turn.conversation) return;
 
-        const results = Array.from(event.results);
-        const lastResult = results[results.length - 1];
-        const transcript = lastResult[0].transcript;
-        const isFinal = lastResult.isFinal;
-        const now = Date.now();
+    // A follow-up can only be captured while listening for the wake word
+    if (!turn.followUpRequested || state !== DetectorState.LISTENING) {
+      endConversation("ended");
+      return;
+    }
 
-        // Normalize the transcript
-        const normalizedTranscript = transcript.trim().toLowerCase();
-        const normalizedWakeWord = config.wakeWord.toLowerCase();
+    log("info", "Listening for a follow-up without the wake word...");
+    // Context said before the wake word only belongs to the first turn
+    activeWakeWord = conversation.wakeWordMatch
+      ? { ...conversation.wakeWordMatch, precedingText: "" }
+      : null;
+    commandTrigger = CommandTrigger.FOLLOW_UP;
+    captureStartedAt = Date.now();
+    setState(DetectorState.AWAITING_COMMAND, "follow-up requested");
+    startCommandListening(config.conversation.followUpTimeoutMs);
+  }
 
-        log("debug", `Transcript: "${transcript}" (isFinal: ${isFinal})`);
+  /**
+   * End the active conversation, if any
+   * @param {string} reason - Why the conversation ended (ended, timeout, stopped)
+   */
+  function endConversation(reason) {
+    if (!conversation) return;
 
-        // Check if the transcript contains the wake word
-        const containsWakeWord =
-          normalizedTranscript.includes(normalizedWakeWord);
+    const { context, turns } = conversation;
+    conversation = null;
+    log("debug", `Conversation ended (${reason})`);
+    config.onConversationEnd({ context, turns, reason });
+    emit(WakeWordEvent.CONVERSATION_END, { context, turns, reason });
+  }
 
-        // Trigger wake word detected callback
-        if (containsWakeWord) config.onWakeWordDetected();
+  /**
+   * Build the match details passed to callbacks
+   * @param {Object} wakeWordMatch - The wake word match
+   * @returns {{wakeWord: string, matchedText: string, score: number, strategy: string}} The match details
+   */
+  function describeMatch(wakeWordMatch) {
+    return {
+      wakeWord: wakeWordMatch.entry.wakeWord,
+      matchedText: wakeWordMatch.matchedText,
+      score: wakeWordMatch.score,
+      strategy: config.matching.strategy,
+      language: commandLanguage(wakeWordMatch),
+    };
+  }
 
-        log(
-          "debug",
-          `Contains wake word "${config.wakeWord}": ${containsWakeWord}`
-        );
+  /**
+   * Lowercase a transcript using the casing rules of the recognition language
+   * @param {string} text - The transcript
+   * @returns {string} The trimmed, lowercased transcript
+   */
+  function foldCase(text) {
+    return lowerCase(text.trim(), config.language);
+  }
 
-        // CASE 1: Wake word detected in a final result
-        if (containsWakeWord && isFinal && !isProcessingCommand) {
-          // Only process if we're not already handling a command and enough time has passed
-          if (now - lastWakeWordTime > WAKE_WORD_COOLDOWN_MS) {
-            log("info", "New wake word detected!");
-            lastWakeWordTime = now;
-            isCommandComplete = false;
-            wakeWordDetected = true;
-            isProcessingCommand = true;
-            commandMode = true;
+  /**
+   * Get the form of a text compared against wake words and cancel phrases
+   * @param {string} text - The lowercased text
+   * @returns {string} The text, without diacritics if foldDiacritics is enabled
+   */
+  function matchKey(text) {
+    return config.foldDiacritics ? foldDiacritics(text) : text;
+  }
 
-            // // Call the wake word detected callback
-            // config.onWakeWordDetected();
+  /**
+   * Get the language of a command: the language of the wake word that started it,
+   * or the recognition language
+   * @param {Object|null} wakeWordMatch - The wake word match that started the command
+   * @returns {string} The language code
+   */
+  function commandLanguage(wakeWordMatch) {
+    return (wakeWordMatch && wakeWordMatch.entry.language) || config.language;
+  }
 
-            // Check if the transcript is ONLY the wake word
-            const isOnlyWakeWord =
-              normalizedTranscript.trim() === normalizedWakeWord;
+  /**
+   * Get the cancel phrases of a language: its profile's, the cancelPhrases option, or the built-in ones
+   * when the option is `true`
+   * @param {string} language - The language code
+   * @returns {string[]} The simplified cancel phrases, empty when cancel phrases are disabled
+   */
+  function cancelPhrasesFor(language) {
+    const profile = findLanguageProfile(config.languages, language);
+    if (profile && profile.cancelPhrases) return profile.cancelPhrases;
+    if (config.cancelPhrases !== true) return config.cancelPhrases || [];
 
-            if (isOnlyWakeWord) {
-              // If it's only the wake word, wait for the next isFinal event
-              log(
-                "info",
-                "Wake word only detected, waiting for next command..."
-              );
-              waitingForNextFinal = true;
-              startCommandListening();
-            } else {
-              // If it contains more than just the wake word, extract the command
-              const commandText = extractCommandText(transcript);
-              log("info", `Extracted command: "${commandText}"`);
+    return (
+      DEFAULT_CANCEL_PHRASES[baseLanguage(language)] ||
+      DEFAULT_CANCEL_PHRASES.en
+    );
+  }
+
+  /**
+   * Get the filler words of a language: the normalize.fillers option, its profile's, or the built-in ones
+   * @param {string} language - The language code
+   * @returns {string[]} The filler words and phrases
+   */
+  function fillersFor(language) {
+    if (config.normalize.fillers) return config.normalize.fillers;
+
+    const profile = findLanguageProfile(config.languages, language);
+    if (profile && profile.fillers) return profile.fillers;
+    return DEFAULT_FILLERS[baseLanguage(language)] || [];
+  }
+
+  /**
+   * Score how closely a span of the transcript matches a wake word phrase
+   * @param {string} spanText - The span of the transcript
+   * @param {string} phrase - The wake word or alias
+   * @returns {number} A score between 0 and 1
+   */
+  function scoreSpan(spanText, phrase) {
+    if (config.matching.strategy === MatchStrategy.PHONETIC) {
+      const encode = (text) =>
+        tokenize(text)
+          .map((token) => phoneticKey(token.word))
+          .join("");
+      return similarity(encode(spanText), encode(phrase));
+    }
+    return similarity(compact(spanText), compact(phrase));
+  }
+
+  /**
+   * Find every occurrence of a wake word phrase in the text
+   * @param {string} normalizedText - The lowercased, trimmed text to search
+   * @param {string} phrase - The wake word or alias to look for
+   * @returns {Array<{index: number, end: number, score: number}>} The candidate spans
+   */
+  function findPhrase(normalizedText, phrase) {
+    // Exact occurrences always win with a perfect score
+    const index = normalizedText.indexOf(phrase);
+    if (index !== -1) {
+      return [{ index, end: index + phrase.length, score: 1 }];
+    }
+    if (config.matching.strategy === MatchStrategy.EXACT) return [];
+
+    // Compare spans of roughly the same number of words, so split or merged
+    // words ("a gora" for "agora") are still considered
+    const tokens = tokenize(normalizedText);
+    const phraseLength = tokenize(phrase).length;
+    const candidates = [];
+
+    for (
+      let size = Math.max(1, phraseLength - 1);
+      size <= phraseLength + 1;
+      size++
+    ) {
+      for (let i = 0; i + size <= tokens.length; i++) {
+        const start = tokens[i].start;
+        const end = tokens[i + size - 1].end;
+        const score = scoreSpan(normalizedText.substring(start, end), phrase);
+        if (score >= config.matching.threshold) {
+          candidates.push({ index: start, end, score });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find the best matching wake word in the text
+   * @param {string} normalizedText - The lowercased, trimmed text to search
+   * @returns {{entry: Object, index: number, end: number, score: number, matchedText: string, precedingText: string}|null}
+   *   The matched wake word entry, the span it was found at, its score and the text before it
+   */
+  function findWakeWord(normalizedText) {
+    let match = null;
+    const searchText = matchKey(normalizedText);
+
+    config.wakeWords.forEach((entry) => {
+      [entry.wakeWord, ...entry.aliases].forEach((phrase) => {
+        findPhrase(searchText, matchKey(phrase)).forEach((candidate) => {
+          // Skip wake words said too late in the utterance
+          const precedingWords = tokenize(
+            normalizedText.substring(0, candidate.index)
+          ).length;
+          if (precedingWords > config.wakeWordPosition.maxPrecedingWords) {
+            return;
+          }
+
+          // Prefer the best score, then the earliest match, then the longest span
+          if (
+            !match ||
+            candidate.score > match.score ||
+            (candidate.score === match.score &&
+              (candidate.index < match.index ||
+                (candidate.index === match.index && candidate.end > match.end)))
+          ) {
+            match = {
+              entry,
+              ...candidate,
+              matchedText: normalizedText.substring(
+                candidate.index,
+                candidate.end
+              ),
+              precedingText: normalizedText
+                .substring(0, candidate.index)
+                .replace(/[\s,.;:!?]+$/, ""),
+            };
+          }
+        });
+      });
+    });
+
+    return match;
+  }
+
+  /**
+   * Extract command text (remove wake word and everything before it)
+   * @param {string} text - The text to extract the command from
+   * @returns {string} The extracted command
+   */
+  function extractCommandText(text) {
+    // Normalize the text by trimming and converting to lowercase
+    const normalizedText = foldCase(text);
+
+    // Find the position of the wake word
+    const wakeWordMatch = findWakeWord(normalizedText);
+    const wakeWordIndex = wakeWordMatch ? wakeWordMatch.index : -1;
+    log("debug", `Wake word index: ${wakeWordIndex}`);
 
-              if (commandText && commandText.length >= MIN_COMMAND_LENGTH) {
-                currentCommand = commandText;
-                interimTranscript = commandText;
-                config.onTranscription(commandText);
+    // If wake word found in current text, get everything after it
+    if (wakeWordMatch) {
+      const command = normalizedText.substring(wakeWordMatch.end).trim();
+      log("debug", `Extracted command after wake word: "${command}"`);
+      return command;
+    }
 
-                // Process the command directly
-                processCommand(commandText);
-              } else {
-                // No valid command, go back to listening for wake word
-                log("info", "No valid command detected after wake word");
-                resetToWakeWordListening();
-              }
-            }
-          }
-        }
-        // CASE 2: We're waiting for the next isFinal event after wake word
-        else if (waitingForNextFinal && isFinal) {
-          log("debug", "Received next isFinal event after wake word");
+    // If no wake word found but we're in a command, return the current command
+    if (isInCommand() && currentCommand) {
+      log("debug", `Using current command: "${currentCommand}"`);
+      return currentCommand;
+    }
 
-          // Store the transcript
-          fullTranscript = transcript;
-          lastTranscript = transcript;
+    // Check if we have a buffered command that might be a quick command
+    if (commandBuffer && !isInCommand()) {
+      const now = Date.now();
+      if (now - lastWakeWordTime < config.resilience.quickCommandBufferMs) {
+        log("debug", `Using buffered command: "${commandBuffer}"`);
+        return commandBuffer;
+      }
+    }
 
-          // Use this transcript as the command
-          const commandText = transcript.trim();
+    // If we're in command mode but no wake word in this transcript,
+    // assume the entire transcript is the command
+    if (isInCommand()) {
+      log(
+        "debug",
+        `No wake word in transcript, assuming entire transcript is command: "${normalizedText}"`
+      );
+      return normalizedText;
+    }
 
-          if (commandText && commandText.length >= MIN_COMMAND_LENGTH) {
-            log("info", `Command detected: "${commandText}"`);
-            currentCommand = commandText;
-            interimTranscript = commandText;
-            config.onTranscription(commandText);
+    // Otherwise return empty string
+    return "";
+  }
 
-            // Process the command directly instead of calling finalizeCommand
-            processCommand(commandText);
-          } else {
-            // No valid command, go back to listening for wake word
-            log("info", "No valid command detected after wake word");
-            resetToWakeWordListening();
-          }
-        }
-        // CASE 3: We're in command mode and received a new transcript (not final)
-        else if (wakeWordDetected && !isCommandComplete && !isFinal) {
-          // Update the interim transcript for display
-          interimTranscript = transcript;
-          config.onTranscription(transcript);
+  /**
+   * Start listening for the wake word
+   * @param {Object} [options] - Start options
+   * @param {AbortSignal} [options.signal] - Stop the detector when the signal is aborted
+   */
+  function start(options = {}) {
+    const restarting = state === DetectorState.RESTARTING;
+    if (options.signal) {
+      if (options.signal.aborted) {
+        log("debug", "Not starting, the signal is already aborted");
+        return;
+      }
+      watchStartSignal(options.signal);
+    }
 
-          // If we're waiting for a command and the user starts talking, pause the timeout
-          if (waitingForNextFinal) {
-            log("debug", "User started talking, pausing command timeout");
-            pauseCommandTimeout();
-          }
-        }
-      };
+    try {
+      // Don't start if we're in the process of stopping
+      if (isStopping) {
+        log("debug", "Cannot start while stopping, will retry");
+        if (startRetryTimeout) clearTimeout(startRetryTimeout);
+        startRetryTimeout = setTimeout(() => {
+          startRetryTimeout = null;
+          start();
+        }, 50);
+        return;
+      }
 
-      // Handle recognition errors
-      recognition.onerror = (event) => {
-        log("error", "Speech recognition error:", event.error);
+      if (isRunning()) {
+        log("debug", "Already listening");
+        return;
+      }
 
-        // Handle no-speech errors differently
-        if (event.error === "no-speech") {
-          const now = Date.now();
-          if (now - lastErrorTime < ERROR_COOLDOWN_MS) {
-            log("debug", "Ignoring frequent no-speech error");
+      // Initialize recognition if not already initialized
+      if (!recognition) {
+        if (!initializeSpeechRecognition()) {
+          if (restarting) {
+            // The error was reported; try again until the attempts run out
+            restartRecognition();
             return;
           }
-          lastErrorTime = now;
-
-          // For no-speech errors, we'll let the onend handler restart it
-          // This is more reliable than treating it as a critical error
-          log("info", "No speech detected, will restart on end");
+          haltedOnError = true;
+          setState(DetectorState.ERROR, "initialization failed");
           return;
         }
+      }
 
-        config.onError(`Error: ${event.error}`);
-
-        // Handle specific errors that require restart
-        if (["audio-capture", "network"].includes(event.error)) {
-          log("info", "Restarting recognition:", event.info);
-          restartRecognition();
-        }
-      };
+      // Clear previous state
+      currentCommand = "";
+      log("info", `Starting with wake words: ${describeWakeWords()}`);
 
-      // Handle recognition end
-      recognition.onend = () => {
-        log("debug", "Recognition ended");
+      // Starting from scratch (rather than restarting) begins a new health period
+      if (state === DetectorState.IDLE || state === DetectorState.ERROR) {
+        startedAt = Date.now();
+        restartAttempts = 0;
+        restartCount = 0;
+        gaveUp = false;
+        haltedOnError = false;
+      }
 
-        // If we have a pending restart, start again
-        if (pendingRestart) {
-          log("debug", "Executing pending restart");
-          pendingRestart = false;
-          start();
-        } else if (isListening && !isPaused) {
-          // For normal operation, restart after a short delay
-          // This handles both errors and normal end events
-          setTimeout(() => {
-            if (isListening && !isPaused) {
-              log("info", "Restarting recognition after end");
-              start();
-            }
-          }, 100);
-        }
-      };
+      // Start recognition
+      setState(DetectorState.STARTING, "start requested");
+      recognition.start();
+      recognizerActive = true;
+      recordSessionEntry("start");
+      setState(DetectorState.LISTENING, "recognition started");
 
-      return true;
+      // Set inactivity timeout
+      resetInactivityTimeout();
     } catch (error) {
-      log("error", "Error initializing speech recognition:", error);
-      config.onError(`Error initializing speech recognition: ${error.message}`);
-      return false;
+      log("error", "Error starting speech recognition:", error);
+      reportError(wrapError(error, "Error starting speech recognition"));
+      if (restarting) {
+        // Another attempt follows, so this is not the error state: only giveUp() enters it
+        restartRecognition();
+        return;
+      }
+      haltedOnError = true;
+      setState(DetectorState.ERROR, "start failed");
     }
   }
 
   /**
-   * Reset the inactivity timeout
+   * Stop the recognizer and move to the given state
+   * @param {string} nextState - The state to move to
+   * @param {string} reason - Why the recognizer is stopped
    */
-  function resetInactivityTimeout() {
-    // Clear any existing timeout
+  function stopRecognition(nextState, reason) {
+    if (!recognition) return;
+
+    // Drop any command in progress
+    if (isInCommand()) {
+      stopCommandListening();
+      activeWakeWord = null;
+    }
+
+    isStopping = true;
+    recognition.stop();
+    setState(nextState, reason);
+
+    // Clear inactivity timeout
     if (inactivityTimeout) {
       clearTimeout(inactivityTimeout);
       inactivityTimeout = null;
     }
 
-    // Set a new timeout
-    inactivityTimeout = setTimeout(() => {
-      if (isListening && !isPaused) {
-        log("info", "No activity detected, restarting recognition");
-        stop();
-        setTimeout(() => {
-          if (isListening && !isPaused) {
-            start();
-          }
-        }, 100);
-      }
-    }, INACTIVITY_TIMEOUT_MS);
+    // Set a flag to indicate we're no longer stopping after a short delay
+    setTimeout(() => {
+      isStopping = false;
+    }, 50);
   }
 
   /**
-   * Restart speech recognition with exponential backoff
+   * Stop the recognizer and start it again once it has ended
+   * @param {string} reason - Why the recognizer is restarted
    */
-  function restartRecognition() {
-    if (restartTimeout) {
-      clearTimeout(restartTimeout);
-    }
+  function restartAfterEnd(reason) {
+    noteRestart(reason);
+    pendingRestart = true;
+    stopRecognition(DetectorState.RESTARTING, reason);
+  }
+
+  /**
+   * Stop the detector when a signal is aborted, replacing any signal passed to an earlier start()
+   * @param {AbortSignal} signal - The signal
+   */
+  function watchStartSignal(signal) {
+    if (unwatchStartSignal) unwatchStartSignal();
 
-    if (restartAttempts >= MAX_RESTART_ATTEMPTS) {
-      log("warn", "Max restart attempts reached, stopping recognition");
+    const onAbort = () => {
+      log("info", "Start signal aborted, stopping");
       stop();
-      return;
+    };
+    signal.addEventListener("abort", onAbort);
+    unwatchStartSignal = () => {
+      signal.removeEventListener("abort", onAbort);
+      unwatchStartSignal = null;
+    };
+  }
+
+  /**
+   * Stop listening for the wake word
+   */
+  function stop() {
+    if (unwatchStartSignal) unwatchStartSignal();
+    clearRestart();
+    // Forget restarts requested by setLanguage() and the like, and starts waiting to retry
+    pendingRestart = false;
+    if (startRetryTimeout) {
+      clearTimeout(startRetryTimeout);
+      startRetryTimeout = null;
     }
+    endConversation("stopped");
+    stopRecognition(DetectorState.IDLE, "stopped");
+    startedAt = null;
+  }
 
-    const delay = RESTART_DELAY_MS * Math.pow(2, restartAttempts);
-    log(
-      "info",
-      `Restarting recognition in ${delay}ms (attempt ${
-        restartAttempts + 1
-      }/${MAX_RESTART_ATTEMPTS})`
-    );
+  /**
+   * Get the health of the detector
+   * @returns {{state: string, uptimeMs: number, restarts: number, restartAttempts: number,
+   *   lastError: (Object|null), lastResultAt: (number|null), gaveUp: boolean}} The health status
+   */
+  function getHealth() {
+    return {
+      state,
+      uptimeMs: startedAt === null ? 0 : Date.now() - startedAt,
+      restarts: restartCount,
+      restartAttempts,
+      lastError: lastError
+        ? {
+            code: lastError.code,
+            message: lastError.message,
+            timestamp: lastErrorAt,
+          }
+        : null,
+      lastResultAt,
+      gaveUp,
+    };
+  }
 
-    restartTimeout = setTimeout(() => {
-      try {
-        if (recognition) {
-          recognition.stop();
-        }
-        if (initializeSpeechRecognition()) {
-          recognition.start();
-          restartAttempts++;
-        }
-      } catch (error) {
-        log("error", "Error restarting recognition:", error);
-        config.onError(`Error restarting recognition: ${error.message}`);
+  /**
+   * Pause listening for the wake word
+   */
+  function pause() {
+    if (recognition && isRunning()) {
+      if (isInCommand()) {
+        stopCommandListening();
+        activeWakeWord = null;
       }
-    }, delay);
+      recognition.stop();
+      setState(DetectorState.PAUSED, "paused");
+    }
   }
 
   /**
-   * Reset to wake word listening mode
+   * Resume listening for the wake word
    */
-  function resetToWakeWordListening() {
-    log("debug", "Resetting to wake word listening mode");
-    isCommandComplete = true;
-    wakeWordDetected = false;
-    isProcessingCommand = false;
-    commandMode = false;
-    waitingForNextFinal = false;
+  function resume() {
+    if (recognition && state === DetectorState.PAUSED) {
+      start();
+    }
+  }
 
-    // Stop command listening
-    stopCommandListening();
+  /**
+   * Describe the configured wake words for logging
+   * @returns {string} The quoted, comma separated wake words
+   */
+  function describeWakeWords() {
+    return config.wakeWords.map((entry) => `"${entry.wakeWord}"`).join(", ");
+  }
 
-    // Reset state
-    currentCommand = "";
-    fullTranscript = "";
-    interimTranscript = "";
+  /**
+   * Set a new wake word, replacing those of the wakeWord option and addWakeWord(); language profile wake words
+   *   still apply to their languages
+   * @param {string|Object|Array<string|Object>} wakeWord - The new wake word, wake word definition, or list of them
+   */
+  function setWakeWord(wakeWord) {
+    const entries = normalizeWakeWords(wakeWord, config.language);
+    if (entries.length === 0) {
+      log("warn", "Ignoring empty wake word");
+      return;
+    }
 
-    // Notify that we're returning to wake word listening
-    config.onCommandTimeout();
+    baseWakeWords = entries;
+    addedWakeWords = [];
+    replaceWakeWords(activeWakeWordEntries(), "wake word changed");
+
+    // Restart recognition so the new wake word applies to a fresh session
+    if (isRunning()) {
+      restartAfterEnd("wake word changed");
+    }
+
+    log("info", `Wake word set to: ${describeWakeWords()}`);
   }
 
   /**
-   * Start listening for a command after wake word detection
+   * Replace the active wake words, dropping any command in progress
+   * @param {Array<Object>} entries - The normalized wake word entries
+   * @param {string} reason - Why the wake words changed
    */
-  function startCommandListening() {
-    log("debug", "Starting command listening");
+  function replaceWakeWords(entries, reason) {
+    // Clear all command-related state
+    currentCommand = "";
+    fullTranscript = "";
+    interimTranscript = "";
+    commandBuffer = ""; // Clear command buffer
 
-    // Clear any existing command timeout
-    if (commandTimeout) {
-      clearTimeout(commandTimeout);
-      commandTimeout = null;
+    // Drop any command in progress
+    if (isInCommand()) {
+      stopCommandListening();
+      activeWakeWord = null;
+      setState(DetectorState.LISTENING, reason);
     }
 
-    // Clear any existing countdown interval
-    if (countdownInterval) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
+    // Update the wake word
+    config.wakeWords = entries;
+  }
+
+  /**
+   * Add a wake word, listened for in every language, or replace the handler of a wake word
+   * @param {string|Object} wakeWord - The wake word to add, or a `{ wakeWord, aliases, onCommand }` definition
+   * @param {Function} [onCommand] - Callback with commands spoken after this wake word
+   * @returns {boolean} True if the wake word was added or updated
+   */
+  function addWakeWord(wakeWord, onCommand) {
+    const definition =
+      typeof wakeWord === "string" ? { wakeWord, onCommand } : wakeWord;
+    const [entry] = normalizeWakeWords(definition, config.language);
+    if (!entry) {
+      log("warn", "Ignoring empty wake word");
+      return false;
     }
 
-    // Set the command start time
-    commandStartTime = Date.now();
+    const existing = addedWakeWords.some(
+      (candidate) => candidate.wakeWord === entry.wakeWord
+    );
+    addedWakeWords = addedWakeWords
+      .filter((candidate) => candidate.wakeWord !== entry.wakeWord)
+      .concat(entry);
+    config.wakeWords = activeWakeWordEntries();
     log(
-      "debug",
-      `Command listening started at ${commandStartTime}, will timeout after ${config.commandTimeoutMs}ms`
+      "info",
+      `Wake word ${existing ? "updated" : "added"}: "${entry.wakeWord}"`
     );
+    return true;
+  }
 
-    // Start a countdown timer that updates every second
-    let remainingTime = config.commandTimeoutMs;
-    countdownInterval = setInterval(() => {
-      remainingTime -= 1000;
-      const secondsLeft = Math.ceil(remainingTime / 1000);
-      log("info", `Waiting for command... ${secondsLeft}s remaining`);
-
-      if (remainingTime <= 0) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
-      }
-    }, 1000);
+  /**
+   * Remove a wake word of the wakeWord option or added with addWakeWord()
+   * @param {string} wakeWord - The wake word to remove
+   * @returns {boolean} True if the wake word was removed, false if it is unknown, comes from a language profile
+   *   or is the last one
+   */
+  function removeWakeWord(wakeWord) {
+    const normalizedWakeWord = lowerCase(
+      String(wakeWord),
+      config.language
+    ).trim();
+    const isOther = (entry) => entry.wakeWord !== normalizedWakeWord;
+    const remainingBase = baseWakeWords.filter(isOther);
+    const remainingAdded = addedWakeWords.filter(isOther);
 
-    // Set a single timeout for the full duration
-    commandTimeout = setTimeout(() => {
+    if (
+      remainingBase.length === baseWakeWords.length &&
+      remainingAdded.length === addedWakeWords.length
+    ) {
       log(
-        "debug",
-        `Command timeout triggered after ${config.commandTimeoutMs}ms`
+        "warn",
+        config.wakeWords.some((entry) => !isOther(entry))
+          ? `Cannot remove a language profile wake word: "${normalizedWakeWord}"`
+          : `Wake word not found: "${normalizedWakeWord}"`
       );
+      return false;
+    }
+    const entries = activeWakeWordEntries(remainingBase, remainingAdded);
+    if (entries.length === 0) {
+      log("warn", "Cannot remove the last wake word");
+      return false;
+    }
 
-      // Clear the countdown interval
-      if (countdownInterval) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
-      }
+    // Drop an in-progress command that was started by this wake word
+    if (activeWakeWord && !isOther(activeWakeWord.entry)) {
+      resetToWakeWordListening();
+    }
 
-      if (!isCommandComplete && wakeWordDetected) {
-        log("info", "Command finalized by timeout!");
-        resetToWakeWordListening();
-      }
-    }, config.commandTimeoutMs);
+    baseWakeWords = remainingBase;
+    addedWakeWords = remainingAdded;
+    config.wakeWords = entries;
+    log("info", `Wake word removed: "${normalizedWakeWord}"`);
+    return true;
   }
 
   /**
-   * Pause the command timeout when the user starts talking
+   * Get the wake words to listen for: those of the candidate languages, and the ones
+   * added with addWakeWord(), which apply to every language
+   * @param {Array<Object>} [base] - The wake words of the wakeWord option
+   * @param {Array<Object>} [added] - The wake words added with addWakeWord()
+   * @returns {Array<Object>} The wake word entries
    */
-  function pauseCommandTimeout() {
-    log("debug", "Pausing command timeout");
+  function activeWakeWordEntries(base = baseWakeWords, added = addedWakeWords) {
+    const addedNames = added.map((entry) => entry.wakeWord);
+    return selectWakeWords(config.candidateLanguages, config.languages, base)
+      .filter((entry) => !addedNames.includes(entry.wakeWord))
+      .concat(added);
+  }
 
-    // Clear the existing timeout
-    if (commandTimeout) {
-      clearTimeout(commandTimeout);
-      commandTimeout = null;
+  /**
+   * Register an intent, replacing any intent with the same name
+   * @param {Object} intent - The intent definition (`{ name, patterns }`)
+   * @throws {Error} If the intent is invalid
+   */
+  function addIntent(intent) {
+    const [compiled] = normalizeIntents([intent], config.slotTypes);
+    const index = config.intents.findIndex(
+      (candidate) => candidate.name === compiled.name
+    );
+
+    if (index === -1) {
+      config.intents.push(compiled);
+    } else {
+      config.intents[index] = compiled;
     }
+    log("info", `Intent registered: "${compiled.name}"`);
+  }
 
-    // Clear the countdown interval
-    if (countdownInterval) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
+  /**
+   * Remove an intent
+   * @param {string} name - The name of the intent to remove
+   * @returns {boolean} True if the intent was removed
+   */
+  function removeIntent(name) {
+    const index = config.intents.findIndex((intent) => intent.name === name);
+    if (index === -1) {
+      log("warn", `Intent not found: "${name}"`);
+      return false;
     }
 
-    // We'll restart the timeout when we get the next isFinal event
-    // or when we detect silence again
+    config.intents.splice(index, 1);
+    log("info", `Intent removed: "${name}"`);
+    return true;
   }
 
   /**
-   * Stop listening for a command
+   * Register a hotword, replacing any hotword with the same phrase
+   * @param {string|Object} hotword - The hotword phrase or definition (`{ phrase, onHotword, wakeWord, duringCommand,
+   *   debounceMs }`)
+   * @throws {Error} If the hotword is invalid
    */
-  function stopCommandListening() {
-    log("debug", "Stopping command listening");
+  function addHotword(hotword) {
+    const [normalized] = normalizeHotwords([hotword]);
+    const index = config.hotwords.findIndex(
+      (candidate) => candidate.key === normalized.key
+    );
 
-    // Clear the command timeout
-    if (commandTimeout) {
-      clearTimeout(commandTimeout);
-      commandTimeout = null;
+    if (index === -1) {
+      config.hotwords.push(normalized);
+    } else {
+      config.hotwords[index] = normalized;
     }
+    log("info", `Hotword registered: "${normalized.phrase}"`);
+  }
 
-    // Clear the countdown interval
-    if (countdownInterval) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
+  /**
+   * Remove a hotword
+   * @param {string} phrase - The phrase of the hotword to remove
+   * @returns {boolean} True if the hotword was removed
+   */
+  function removeHotword(phrase) {
+    const key = simplifyPhrase(phrase || "");
+    const index = config.hotwords.findIndex((hotword) => hotword.key === key);
+    if (index === -1) {
+      log("warn", `Hotword not found: "${phrase}"`);
+      return false;
     }
+
+    config.hotwords.splice(index, 1);
+    log("info", `Hotword removed: "${phrase}"`);
+    return true;
   }
 
   /**
-   * Process a command
-   * @param {string} commandText - The command text to process
+   * Cancel the command in progress and return to wake word listening
+   * @returns {boolean} True if a command was cancelled
    */
-  function processCommand(commandText) {
-    if (!isCommandComplete && wakeWordDetected) {
-      log("debug", "Processing command...");
-      isCommandComplete = true;
-      wakeWordDetected = false;
-      isProcessingCommand = false;
-      commandMode = false; // Exit command mode
-      waitingForNextFinal = false; // Reset waiting for command flag
+  function cancelCommand() {
+    if (!isInCommand()) return false;
 
-      // Stop command listening
-      stopCommandListening();
+    log("info", "Command cancelled");
+    resetToWakeWordListening({
+      command: pendingCommandText(),
+      phrase: null,
+      reason: "manual",
+    });
+    return true;
+  }
 
-      log("debug", `Command text: "${commandText}"`);
+  /**
+   * Capture a command right away, as if the wake word had been heard
+   * @returns {boolean} True if command capture started, false if the detector is not listening for the wake word
+   */
+  function beginCommand() {
+    return captureCommand(CommandTrigger.MANUAL);
+  }
 
-      // Only process if this is a valid command (not empty and meets minimum length)
-      if (commandText && commandText.length >= MIN_COMMAND_LENGTH) {
-        log("debug", "Calling onCommand callback");
-        config.onCommand(commandText);
-      } else {
-        // If no valid command was detected, notify that we're returning to wake word listening
-        log("info", `Last transcript: "${lastTranscript}"`);
-        log("info", `Full transcript: "${fullTranscript}"`);
-        log("info", `commandText: "${commandText}"`);
-        log(
-          "info",
-          "No valid command detected, returning to wake word listening ❌"
-        );
-        log("debug", "Calling onCommandTimeout callback");
-        config.onCommandTimeout();
-      }
+  /**
+   * Start a push-to-talk capture, which lasts until pressEnd()
+   * @returns {boolean} True if the capture started, false if the detector is not listening for the wake word
+   */
+  function pressStart() {
+    return captureCommand(CommandTrigger.PUSH_TO_TALK);
+  }
 
-      // Reset state
-      currentCommand = "";
-      fullTranscript = "";
-      interimTranscript = "";
+  /**
+   * End the push-to-talk capture, processing what was heard so far
+   * @returns {boolean} True if a push-to-talk capture was ended
+   */
+  function pressEnd() {
+    if (!isPressed || !isInCommand()) return false;
+
+    isPressed = false;
+    endUtterance("press ended");
+    return true;
+  }
+
+  /**
+   * Enter command capture without the wake word
+   * @param {string} trigger - What started the capture (see CommandTrigger)
+   * @returns {boolean} True if command capture started
+   */
+  function captureCommand(trigger) {
+    if (state !== DetectorState.LISTENING) {
+      log("warn", `Cannot capture a command while ${state}`);
+      return false;
     }
+
+    log("info", `Command capture started (${trigger})`);
+    activeWakeWord = null;
+    commandTrigger = trigger;
+    captureStartedAt = Date.now();
+    commandConfidence = null;
+    setState(DetectorState.AWAITING_COMMAND, `${trigger} trigger`);
+    isPressed = trigger === CommandTrigger.PUSH_TO_TALK;
+    startCommandListening();
+    return true;
   }
 
   /**
-   * Finalize the current command
+   * Check whether a state change stops the detector on an error for good, rather than before a restart attempt
+   * @param {Object} event - The state change event
+   * @returns {boolean} True if the detector halted
    */
-  function finalizeCommand() {
-    if (!isCommandComplete && wakeWordDetected) {
-      log("debug", "Finalizing command...");
-      isCommandComplete = true;
-      wakeWordDetected = false;
-      isProcessingCommand = false;
-      commandMode = false; // Exit command mode
-      waitingForNextFinal = false; // Reset waiting for command flag
+  function isHalt(event) {
+    return event.to === DetectorState.ERROR && haltedOnError;
+  }
 
-      // Stop command listening
-      stopCommandListening();
+  /**
+   * Wait for the next command
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeoutMs] - Reject if no command arrives in time
+   * @param {AbortSignal} [options.signal] - Reject when the signal is aborted
+   * @returns {Promise<Object>} Resolves with the payload of the next command event; rejects with a WakeWordError
+   *   on timeout (timeout), when the command is cancelled (cancelled), or when the signal is aborted or the
+   *   detector stops (aborted)
+   */
+  function waitForCommand(options = {}) {
+    const { timeoutMs, signal } = options;
 
-      // Get the command text - either from the current command or extract it
-      let finalCommand = currentCommand;
-      if (!finalCommand || finalCommand.length < MIN_COMMAND_LENGTH) {
-        finalCommand = extractCommandText(fullTranscript);
+    return new Promise((resolve, reject) => {
+      const disposers = [];
+      const settle = (callback, value) => {
+        disposers.forEach((dispose) => dispose());
+        callback(value);
+      };
+      const fail = (code, message, cause) =>
+        settle(reject, createError(code, message, cause));
+
+      if (signal && signal.aborted) {
+        fail(ErrorCode.ABORTED, "Waiting for a command was aborted");
+        return;
       }
 
-      log("debug", `Final command text: "${finalCommand}"`);
+      disposers.push(
+        on(WakeWordEvent.COMMAND, (event) => settle(resolve, event)),
+        on(WakeWordEvent.COMMAND_CANCELLED, () =>
+          fail(ErrorCode.CANCELLED, "The command was cancelled")
+        ),
+        on(WakeWordEvent.STATE_CHANGE, (event) => {
+          if (event.to === DetectorState.IDLE) {
+            fail(ErrorCode.ABORTED, "The detector stopped");
+          } else if (isHalt(event)) {
+            fail(ErrorCode.ABORTED, "The detector stopped on error", lastError);
+          }
+        })
+      );
 
-      // Only process if this is a valid command (not empty and meets minimum length)
-      if (finalCommand && finalCommand.length >= MIN_COMMAND_LENGTH) {
-        log("debug", "Calling onCommand callback");
-        config.onCommand(finalCommand);
-      } else {
-        // If no valid command was detected, notify that we're returning to wake word listening
-        log("info", `Last transcript: "${lastTranscript}"`);
-        log("info", `Full transcript: "${fullTranscript}"`);
-        log(
-          "info",
-          "No valid command detected, returning to wake word listening ❌"
+      if (timeoutMs) {
+        const timer = setTimeout(
+          () => fail(ErrorCode.TIMEOUT, `No command within ${timeoutMs}ms`),
+          timeoutMs
         );
-        log("debug", "Calling onCommandTimeout callback");
-        config.onCommandTimeout();
+        disposers.push(() => clearTimeout(timer));
       }
 
-      // Reset state
-      currentCommand = "";
-      fullTranscript = "";
-      interimTranscript = "";
-    }
+      if (signal) {
+        const onAbort = () =>
+          fail(ErrorCode.ABORTED, "Waiting for a command was aborted");
+        signal.addEventListener("abort", onAbort);
+        disposers.push(() => signal.removeEventListener("abort", onAbort));
+      }
+    });
   }
 
   /**
-   * Extract command text (remove wake word and everything before it)
-   * @param {string} text - The text to extract the command from
-   * @returns {string} The extracted command
+   * Iterate over commands as they are processed, for use with `for await`
+   * @param {Object} [options] - Iteration options
+   * @param {AbortSignal} [options.signal] - End the iteration when the signal is aborted
+   * @returns {AsyncIterableIterator<Object>} The payloads of the command events; the iteration ends when the
+   *   signal is aborted or the detector stops
    */
-  function extractCommandText(text) {
-    // Normalize the text by trimming and converting to lowercase
-    const normalizedText = text.trim().toLowerCase();
-    const normalizedWakeWord = config.wakeWord.trim().toLowerCase();
+  function commands(options = {}) {
+    const { signal } = options;
+    const queue = []; // Commands received before they were asked for
+    const waiting = []; // Resolvers of the pending next() calls, oldest first
+    let done = false;
 
-    // Find the position of the wake word
-    const wakeWordIndex = normalizedText.indexOf(normalizedWakeWord);
-    log("debug", `Wake word index: ${wakeWordIndex}`);
+    const finish = () => {
+      if (done) return;
+      done = true;
+      unsubscribeCommand();
+      unsubscribeState();
+      if (signal) signal.removeEventListener("abort", finish);
+      waiting
+        .splice(0)
+        .forEach((resolve) => resolve({ value: undefined, done: true }));
+    };
 
-    // If wake word found in current text, get everything after it
-    if (wakeWordIndex !== -1) {
-      const command = normalizedText
-        .substring(wakeWordIndex + normalizedWakeWord.length)
-        .trim();
-      log("debug", `Extracted command after wake word: "${command}"`);
-      return command;
+    const unsubscribeCommand = on(WakeWordEvent.COMMAND, (event) => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: event, done: false });
+      } else {
+        queue.push(event);
+      }
+    });
+    const unsubscribeState = on(WakeWordEvent.STATE_CHANGE, (event) => {
+      if (event.to === DetectorState.IDLE || isHalt(event)) finish();
+    });
+    if (signal) {
+      if (signal.aborted) finish();
+      else signal.addEventListener("abort", finish);
     }
 
-    // If no wake word found but we're in a command, return the current command
-    if (wakeWordDetected && currentCommand) {
-      log("debug", `Using current command: "${currentCommand}"`);
-      return currentCommand;
-    }
+    return {
+      next() {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => {
+          waiting.push(resolve);
+        });
+      },
+      return() {
+        queue.length = 0;
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
 
-    // Check if we have a buffered command that might be a quick command
-    if (commandBuffer && !wakeWordDetected) {
-      const now = Date.now();
-      if (now - lastWakeWordTime < QUICK_COMMAND_BUFFER_MS) {
-        log("debug", `Using buffered command: "${commandBuffer}"`);
-        return commandBuffer;
-      }
+  /**
+   * End the active conversation, closing any open follow-up window
+   */
+  function finishConversation() {
+    if (!conversation) return;
+
+    if (isInCommand()) {
+      // Drop the follow-up window without reporting a command timeout
+      stopCommandListening();
+      activeWakeWord = null;
+      setState(DetectorState.LISTENING, "conversation ended");
     }
+    endConversation("ended");
+  }
 
-    // If we're in command mode but no wake word in this transcript,
-    // assume the entire transcript is the command
-    if (commandMode && !isCommandComplete) {
-      log(
-        "debug",
-        `No wake word in transcript, assuming entire transcript is command: "${normalizedText}"`
-      );
-      return normalizedText;
+  /**
+   * Subscribe to an event
+   * @param {string} type - The event type (see WakeWordEvent)
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} A function that unsubscribes the handler
+   */
+  function on(type, handler) {
+    if (!Object.values(WakeWordEvent).includes(type)) {
+      log("warn", `Unknown event type: ${type}`);
     }
+    if (!listeners[type]) listeners[type] = [];
+    listeners[type].push(handler);
+    return () => off(type, handler);
+  }
 
-    // Otherwise return empty string
-    return "";
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} type - The event type (see WakeWordEvent)
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} A function that unsubscribes the handler
+   */
+  function once(type, handler) {
+    const wrapper = (event) => {
+      off(type, wrapper);
+      handler(event);
+    };
+    wrapper.handler = handler;
+    return on(type, wrapper);
   }
 
   /**
-   * Start listening for the wake word
+   * Unsubscribe from an event
+   * @param {string} type - The event type (see WakeWordEvent)
+   * @param {Function} handler - The handler passed to on or once
    */
-  function start() {
-    try {
-      // Don't start if we're in the process of stopping
-      if (isStopping) {
-        log("debug", "Cannot start while stopping, will retry");
-        setTimeout(() => start(), 50);
-        return;
-      }
+  function off(type, handler) {
+    const handlers = listeners[type];
+    if (!handlers) return;
 
-      // Initialize recognition if not already initialized
-      if (!recognition) {
-        if (!initializeSpeechRecognition()) {
-          return;
-        }
-      }
+    const index = handlers.findIndex(
+      (candidate) => candidate === handler || candidate.handler === handler
+    );
+    if (index !== -1) handlers.splice(index, 1);
+  }
 
-      // Clear previous state
-      currentCommand = "";
-      isCommandComplete = false;
-      isPaused = false;
-      wakeWordDetected = false;
-      log("info", `Starting with wake word: "${config.wakeWord}"`);
+  /**
+   * Set a new language, or a list of candidate languages, switching to the wake words of their profiles.
+   * With a backend from a recognition hub, the recognition language changes for every detector sharing it
+   * @param {string|string[]} language - The new language, or candidate languages with the recognition language first
+   */
+  function setLanguage(language) {
+    let languages;
+    try {
+      languages = normalizeLanguages(language);
+    } catch (error) {
+      log("warn", error.message);
+      return;
+    }
 
-      // Start recognition
-      recognition.start();
-      isListening = true;
+    config.language = languages[0];
+    config.candidateLanguages = languages;
 
-      // Set inactivity timeout
-      resetInactivityTimeout();
-    } catch (error) {
-      log("error", "Error starting speech recognition:", error);
-      config.onError(`Error starting speech recognition: ${error.message}`);
+    // Switch to the wake words of the new languages, if their profiles define any
+    const entries = activeWakeWordEntries();
+    if (
+      Object.values(config.languages).some((profile) => profile.wakeWords) &&
+      entries.length > 0
+    ) {
+      replaceWakeWords(entries, "language changed");
+      log("info", `Wake word set to: ${describeWakeWords()}`);
     }
-  }
 
-  /**
-   * Stop listening for the wake word
-   */
-  function stop() {
     if (recognition) {
-      isStopping = true;
-      recognition.stop();
-      isListening = false;
-      isPaused = false;
-
-      // Clear inactivity timeout
-      if (inactivityTimeout) {
-        clearTimeout(inactivityTimeout);
-        inactivityTimeout = null;
+      if (typeof recognition.setLanguage === "function") {
+        recognition.setLanguage(config.language);
+      }
+      // Restart recognition so the new language applies
+      if (isRunning()) {
+        restartAfterEnd("language changed");
       }
-
-      // Set a flag to indicate we're no longer stopping after a short delay
-      setTimeout(() => {
-        isStopping = false;
-      }, 50);
     }
+    log("info", `Language set to: "${languages.join('", "')}"`);
   }
 
   /**
-   * Pause listening for the wake word
+   * Record the microphone permission, notifying listeners when it changes
+   * @param {string} next - The permission (see MicrophonePermission)
    */
-  function pause() {
-    if (recognition && isListening) {
-      recognition.stop();
-      isPaused = true;
-    }
+  function setPermission(next) {
+    if (next === permission) return;
+
+    const previous = permission;
+    permission = next;
+    log("info", `Microphone permission: ${previous} -> ${next}`);
+    config.onPermissionChange(next, previous);
+    emit(WakeWordEvent.PERMISSION_CHANGE, { permission: next, previous });
   }
 
   /**
-   * Resume listening for the wake word
+   * Check the microphone permission without prompting the user, and watch it for changes
+   * @returns {Promise<string>} The permission (see MicrophonePermission); the last known permission if the
+   *   browser can't tell
    */
-  function resume() {
-    if (recognition && isPaused) {
-      recognition.start();
-      isPaused = false;
+  async function checkPermission() {
+    const status = await queryMicrophonePermission();
+    if (!status) return permission;
+
+    if (status !== permissionStatus) {
+      // Each query returns a new status object: stop watching the previous one
+      if (unwatchPermissionStatus) unwatchPermissionStatus();
+      permissionStatus = status;
+      const onChange = () => setPermission(status.state);
+      if (typeof status.addEventListener === "function") {
+        status.addEventListener("change", onChange);
+        unwatchPermissionStatus = () =>
+          status.removeEventListener("change", onChange);
+      } else {
+        status.onchange = onChange;
+        unwatchPermissionStatus = () => {
+          status.onchange = null;
+        };
+      }
     }
+    setPermission(status.state);
+    return permission;
   }
 
   /**
-   * Set a new wake word
-   * @param {string} wakeWord - The new wake word
+   * Ask the user for microphone access, prompting if needed
+   * @returns {Promise<string>} The permission after the request (granted or denied)
+   * @throws {WakeWordError} If the browser has no microphone access API (not-supported) or the microphone can't
+   *   be opened (audio-capture)
    */
-  function setWakeWord(wakeWord) {
-    // Clear all command-related state
-    currentCommand = "";
-    isCommandComplete = false;
-    wakeWordDetected = false;
-    isProcessingCommand = false;
-    fullTranscript = "";
-    interimTranscript = "";
-    commandBuffer = ""; // Clear command buffer
-
-    // Clear any existing timeouts
-    if (commandTimeout) {
-      clearTimeout(commandTimeout);
-      commandTimeout = null;
+  async function requestPermission() {
+    const mediaDevices = getMediaDevices();
+    if (!mediaDevices || typeof mediaDevices.getUserMedia !== "function") {
+      throw createError(
+        ErrorCode.NOT_SUPPORTED,
+        "Microphone access is not supported in this browser"
+      );
     }
 
-    // Update the wake word
-    config.wakeWord = wakeWord.toLowerCase().trim();
+    try {
+      const stream = await mediaDevices.getUserMedia({
+        audio: config.audioInput
+          ? { deviceId: { exact: config.audioInput } }
+          : true,
+      });
+      // Only the permission is needed, the recognizer opens its own stream
+      stream.getTracks().forEach((track) => track.stop());
+      setPermission(MicrophonePermission.GRANTED);
+    } catch (error) {
+      if (
+        error &&
+        (error.name === "NotAllowedError" || error.name === "SecurityError")
+      ) {
+        setPermission(MicrophonePermission.DENIED);
+      } else {
+        throw createError(
+          ErrorCode.AUDIO_CAPTURE,
+          `Error requesting microphone access: ${error && error.message}`,
+          error
+        );
+      }
+    }
+    return permission;
+  }
 
-    // Set pending restart flag and stop
-    pendingRestart = true;
-    stop();
+  /**
+   * List the audio inputs; labels are only available once the microphone permission is granted
+   * @returns {Promise<Array<{deviceId: string, label: string, groupId: string}>>} The audio inputs
+   */
+  async function getAudioInputs() {
+    const mediaDevices = getMediaDevices();
+    if (!mediaDevices || typeof mediaDevices.enumerateDevices !== "function") {
+      return [];
+    }
 
-    log("info", `Wake word set to: "${config.wakeWord}"`);
+    const devices = await mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === "audioinput")
+      .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
   }
 
   /**
-   * Set a new language
-   * @param {string} language - The new language
+   * Choose the audio input, for backends that support it (the Web Speech API always uses the default input)
+   * @param {string|null} deviceId - The device ID, or null for the default input
+   * @returns {boolean} True if the backend supports choosing the audio input
    */
-  function setLanguage(language) {
-    config.language = language;
-    if (recognition) {
-      recognition.lang = language;
-      // Set pending restart flag and stop
-      pendingRestart = true;
-      stop();
+  function setAudioInput(deviceId) {
+    const backend = getBackend();
+    if (typeof backend.setAudioInput !== "function") {
+      log(
+        "warn",
+        "The speech recognition backend does not support choosing the audio input"
+      );
+      return false;
     }
-    log("info", `Language set to: "${language}"`);
+
+    config.audioInput = deviceId || null;
+    backend.setAudioInput(config.audioInput);
+    log("info", `Audio input set to: ${config.audioInput || "default"}`);
+
+    // Restart recognition so the new input applies
+    if (isRunning()) {
+      restartAfterEnd("audio input changed");
+    }
+    return true;
   }
 
   /**
@@ -793,20 +4808,49 @@ export function createWakeWordDetection(options = {}) {
   }
 
   /**
-   * Check if the browser supports speech recognition
+   * Check if the speech recognition backend is supported in this environment
    * @returns {boolean} True if speech recognition is supported
    */
   function isSupported() {
-    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    return getBackend().isSupported();
   }
 
+  loadHistory();
+
   // Return the public API
   return {
+    on,
+    once,
+    off,
     start,
     stop,
     pause,
     resume,
+    getState,
     setWakeWord,
+    addWakeWord,
+    removeWakeWord,
+    addIntent,
+    removeIntent,
+    addHotword,
+    removeHotword,
+    endConversation: finishConversation,
+    cancelCommand,
+    trigger: beginCommand,
+    beginCommand,
+    pressStart,
+    pressEnd,
+    waitForCommand,
+    commands,
+    exportSession,
+    clearSession,
+    getHistory,
+    clearHistory,
+    getHealth,
+    checkPermission,
+    requestPermission,
+    getAudioInputs,
+    setAudioInput,
     setLanguage,
     setLogLevel,
     isSupported,